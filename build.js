@@ -1,219 +1,252 @@
 const fs = require('fs');
 const path = require('path');
-const { marked } = require('marked');
+const { marked, Marked } = require('marked');
 const matter = require('gray-matter');
-const plantuml = require('node-plantuml');
-const plantumlEncoder = require('plantuml-encoder');
+const { isPlantUml, getDiagramPath, renderArticleDiagrams, setDiagramCacheDir, clearDiagramCache } = require('./lib/plantuml');
+const { renderCodeBlock } = require('./lib/highlight');
+const { containerExtension, resetContainerIds } = require('./lib/containers');
+const { quizExtension, resetQuizIds, getQuizProblems } = require('./lib/quiz');
+const { createDevServer } = require('./lib/dev-server');
+const { escapeHtml, stripHtml, slugify, toInlineJson } = require('./lib/utils');
+const { writeFeeds, getFeedLinks } = require('./lib/feeds');
+const { getSeoTags, getArticleTags, getArticleJsonLd, getBreadcrumbJsonLd, getAlternateLinks, writeSitemap, writeRobots } = require('./lib/seo');
+const { buildSearchIndex, writeSearchIndex } = require('./lib/search');
+const { rewriteMarkdownLink, checkLinks } = require('./lib/links');
+const { resolveAsset, copyAssets } = require('./lib/assets');
+const { ARTICLE_SCHEMA, SERIES_SCHEMA, validateFrontMatter, findDuplicates } = require('./lib/validate');
+const { createTemplates } = require('./lib/template');
+const { writeFingerprinted, minifyCss, minifyScript, minifyPage, getGzipSize, getSizeReport } = require('./lib/optimize');
+const { getReadingStats, formatReadingTime, formatWordCount } = require('./lib/reading');
+const { getLastCommitDates } = require('./lib/git');
+const { isSafeUrl, sanitizeHtml } = require('./lib/sanitize');
+const { addContentSecurityPolicy } = require('./lib/csp');
+const { writeEpub } = require('./lib/epub');
+const { loadPlugins, applyParseHooks, applyPageHooks } = require('./lib/plugins');
+const { getCacheEntries, getPageImages, writeIcons, getManifest } = require('./lib/offline');
+const { splitLanguageSuffix, setupLocales, hasLocale, getLocale, getActiveLocale, useLocale, translate, formatDate } = require('./lib/i18n');
+
+const SERIES_FILE = '_series.md';
+const DEFAULT_LAYOUT = 'article';
+
+// Settings of the current build. configure() sets them from the options given to the API (the CLI passes its flags);
+// until then they are this repository's folders and site.config.js.
+let siteConfig = null;
+let ROOT_DIR = null;
+let ARTICLES_DIR = null;
+let PUBLIC_DIR = null;
+let ASSETS_PUBLIC_DIR = null;
+let LAYOUTS_DIR = null;
+let LOCALES_DIR = null;
+// Articles without a `lang` key or a .<lang>.md suffix are in this language; its pages stay at the top of public/
+let DEFAULT_LANGUAGE = 'en';
+let SITE_TITLE = '';
+let SITE_DESCRIPTION = '';
+let SITE_AUTHOR = '';
+// Absolute URL the public/ folder is served from; used wherever links leave the site (feeds, SEO tags)
+let SITE_URL = '';
+// Drafts and scheduled articles are left out unless the build asks for them (the dev server always does)
+let INCLUDE_DRAFTS = false;
+// Production builds minify every page, stylesheet and script
+let PRODUCTION = false;
+let SANITIZE_HTML = false;
+let CONTENT_SECURITY_POLICY = null;
+// Web app manifest, service worker and offline pages, from `offline` in the site config; null leaves them out
+let OFFLINE = null;
+let templates = null;
+// Plugins from the site config (see lib/plugins.js) and the marked instance with their extensions
+let plugins = [];
+let markdownParser = null;
+// Progress messages; a quiet build has none
+let log = console.log;
+
+// A folder from the options, else <root>/<name>. Layouts and locales fall back to this repository's,
+// so a content folder only needs its articles.
+function getFolder(option, root, name, shared = false) {
+    if (option) return path.resolve(option);
+    const folder = path.join(root, name);
+    return shared && !fs.existsSync(folder) ? path.join(__dirname, name) : folder;
+}
 
-const ARTICLES_DIR = path.join(__dirname, 'articles');
-const PUBLIC_DIR = path.join(__dirname, 'public');
-const ARTICLES_PUBLIC_DIR = path.join(PUBLIC_DIR, 'articles');
+function loadSiteConfig(config, root) {
+    if (config && typeof config === 'object') return config;
+    const file = config ? path.resolve(config) : path.join(root, 'site.config.js');
+    if (config && !fs.existsSync(file)) throw new Error(`Site config ${file} not found`);
+    return require(fs.existsSync(file) ? file : './site.config');
+}
 
-if (!fs.existsSync(PUBLIC_DIR)) fs.mkdirSync(PUBLIC_DIR, { recursive: true });
-if (!fs.existsSync(ARTICLES_PUBLIC_DIR)) fs.mkdirSync(ARTICLES_PUBLIC_DIR, { recursive: true });
+// options, all optional:
+//   root                 folder with articles/, public/, layouts/, locales/ and site.config.js (default: this repository)
+//   articlesDir, publicDir, layoutsDir, localesDir   one of those folders somewhere else
+//   config               the site config, or the file exporting it (default: <root>/site.config.js)
+//   siteUrl              overrides the config's url (default: the SITE_URL environment variable)
+//   drafts               include drafts and scheduled articles
+//   production           minify pages, stylesheets and scripts (default: when NODE_ENV is production)
+//   plugins              more plugin entries, used after the config's
+//   quiet                no progress messages
+function configure(options = {}) {
+    const root = path.resolve(options.root || __dirname);
+    siteConfig = loadSiteConfig(options.config, root);
+    ROOT_DIR = root;
+    ARTICLES_DIR = getFolder(options.articlesDir, root, 'articles');
+    PUBLIC_DIR = getFolder(options.publicDir, root, 'public');
+    ASSETS_PUBLIC_DIR = path.join(PUBLIC_DIR, 'assets');
+    LAYOUTS_DIR = getFolder(options.layoutsDir, root, 'layouts', true);
+    LOCALES_DIR = getFolder(options.localesDir, root, 'locales', true);
+    setDiagramCacheDir(path.join(root, '.cache', 'plantuml'));
+
+    DEFAULT_LANGUAGE = siteConfig.language || 'en';
+    SITE_TITLE = siteConfig.title;
+    SITE_DESCRIPTION = siteConfig.description;
+    SITE_AUTHOR = siteConfig.author || siteConfig.title;
+    SITE_URL = (options.siteUrl || process.env.SITE_URL || siteConfig.url).replace(/\/?$/, '/');
+    INCLUDE_DRAFTS = Boolean(options.drafts);
+    PRODUCTION = options.production === undefined ? process.env.NODE_ENV === 'production' : Boolean(options.production);
+    SANITIZE_HTML = Boolean(siteConfig.build && siteConfig.build.sanitizeHtml);
+    CONTENT_SECURITY_POLICY = siteConfig.build && siteConfig.build.contentSecurityPolicy;
+    OFFLINE = siteConfig.offline ? { ...siteConfig.offline, icon: siteConfig.offline.icon ? path.resolve(root, siteConfig.offline.icon) : null } : null;
+    log = options.quiet ? () => {} : console.log;
+
+    templates = createTemplates(LAYOUTS_DIR);
+    setupLocales(LOCALES_DIR, DEFAULT_LANGUAGE);
+    plugins = loadPlugins([...(siteConfig.plugins || []), ...(options.plugins || [])], root, siteConfig);
+    markdownParser = createMarkdownParser(plugins);
+    siteAssets = null;
+    writtenPages = [];
+}
 
-// Configure marked with PlantUML support
+// Configure marked with PlantUML support and build-time syntax highlighting
 const renderer = new marked.Renderer();
-const originalCode = renderer.code;
 
 renderer.code = function(code, language) {
-    if (language === 'plantuml' || language === 'puml') {
-        // Generate PlantUML diagram
-        try {
-            const encoded = plantumlEncoder.encode(code);
-            const diagramUrl = `http://www.plantuml.com/plantuml/svg/${encoded}`;
-            return `<div class="plantuml-diagram">
-                <img src="${diagramUrl}" alt="PlantUML Diagram" style="max-width: 100%; height: auto; border: 1px solid var(--border); border-radius: 8px; margin: 1rem 0;" />
+    if (isPlantUml(language)) {
+        // Diagrams are rendered locally by renderArticleDiagrams and saved next to the article
+        return `<div class="plantuml-diagram">
+                <img src="${getDiagramPath(code)}" alt="PlantUML Diagram" loading="lazy" />
             </div>`;
-        } catch (error) {
-            console.warn('Failed to encode PlantUML diagram:', error);
-            return originalCode.call(this, code, language);
-        }
     }
-    return originalCode.call(this, code, language);
+    return renderCodeBlock(code, language);
 };
 
-marked.setOptions({
-    renderer: renderer,
-    highlight: function(code, lang) {
-        return code; // You can add syntax highlighting here if needed
-    }
-});
-
-// MVC Components
-function getSharedStyles() {
-    return `
-        :root {
-            --bg: #ffffff;
-            --text: #1f2937;
-            --text-light: #6b7280;
-            --card-bg: #ffffff;
-            --border: #e5e7eb;
-            --primary: #06b6d4;
-            --primary-light: #0891b2;
-            --shadow: 0 4px 12px -2px rgba(0, 0, 0, 0.1);
-        }
-
-        [data-theme="dark"] {
-            --bg: #111827;
-            --text: #f9fafb;
-            --text-light: #d1d5db;
-            --card-bg: #1f2937;
-            --border: #374151;
-            --primary: #0ea5e9;
-            --primary-light: #0284c7;
-        }
-
-        * {
-            margin: 0;
-            padding: 0;
-            box-sizing: border-box;
-        }
-
-        body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-            background: var(--bg);
-            color: var(--text);
-            line-height: 1.6;
-            overflow-x: hidden;
-        }
-
-        .container {
-            max-width: 1200px;
-            margin: 0 auto;
-            padding: 0 2rem;
-        }
-
-        .header {
-            padding: 1.96rem 0 0.98rem 0;
-            text-align: center;
-            border-bottom: 1px solid var(--border);
-        }
-
-        .hero-title {
-            font-size: clamp(2.1rem, 5.6vw, 4.2rem);
-            font-weight: 800;
-            background: linear-gradient(135deg, var(--primary), var(--primary-light));
-            -webkit-background-clip: text;
-            -webkit-text-fill-color: transparent;
-            background-clip: text;
-            line-height: 1.2;
-            margin-bottom: 0.7rem;
-        }
+// Heading ids are unique within one marked() call; the preprocess hook starts each document afresh
+let headingIds = new Map();
 
-        .hero-title a {
-            color: inherit;
-            text-decoration: none;
-        }
+function getHeadingId(text) {
+    const base = slugify(text) || 'section';
+    let id = base;
+    while (headingIds.has(id)) {
+        id = `${base}-${headingIds.get(base)}`;
+        headingIds.set(base, headingIds.get(base) + 1);
+    }
+    headingIds.set(id, 1);
+    return id;
+}
 
-        .theme-toggle {
-            position: fixed;
-            top: 1.5rem;
-            right: 2rem;
-            background: var(--primary);
-            color: white;
-            border: none;
-            padding: 0.75rem 1.5rem;
-            border-radius: 9999px;
-            cursor: pointer;
-            font-weight: 600;
-            font-size: 0.95rem;
-            z-index: 1000;
-            box-shadow: 0 4px 12px rgba(6, 182, 212, 0.3);
-            transition: all 0.2s ease;
-        }
+renderer.heading = function(text, level, raw) {
+    const id = getHeadingId(raw);
+    return `<h${level} id="${id}">${text}<a class="heading-anchor" href="#${id}" aria-label="${escapeHtml(translate('article.permalink'))}">#</a></h${level}>\n`;
+};
 
-        .theme-toggle:hover {
-            transform: translateY(-1px);
-            box-shadow: 0 6px 16px rgba(6, 182, 212, 0.4);
-        }
+// The article being rendered by getArticleHtml: its folder and language, plus the links (as written in Markdown)
+// for the link checker and the co-located assets that writeArticlePage copies
+let rendering = null;
 
-        /* Footer Styles */
-        .footer {
-            position: fixed;
-            bottom: 0;
-            left: 0;
-            right: 0;
-            background: var(--card-bg);
-            border-top: 1px solid var(--border);
-            padding: 0.75rem 0;
-            text-align: center;
-            font-size: 0.875rem;
-            color: var(--text-light);
-            backdrop-filter: blur(10px);
-            z-index: 100;
-        }
+// Local files referenced from an article get their content-hashed output name
+function getRenderedAsset(href) {
+    if (!rendering) return null;
+    const asset = resolveAsset(href, rendering.folder, ARTICLES_DIR);
+    if (asset) rendering.assets.set(asset.source, asset);
+    return asset;
+}
 
-        .footer a {
-            color: var(--primary);
-            text-decoration: none;
-            font-weight: 500;
-            transition: color 0.2s ease;
-        }
+// Raw HTML in Markdown, block or inline
+renderer.html = function(html) {
+    return SANITIZE_HTML ? sanitizeHtml(html) : html;
+};
 
-        .footer a:hover {
-            color: var(--primary-light);
-            text-decoration: underline;
-        }
+// A translation links to the translations of the articles it links to; an article that is not translated
+// yet is linked in the default language's tree instead
+function getArticleLinkHref(href) {
+    const rewritten = rewriteMarkdownLink(href);
+    if (!rendering || rendering.lang === DEFAULT_LANGUAGE || rewritten === href) return rewritten;
 
-        /* Better hyperlink visibility in dark mode */
-        [data-theme="dark"] .footer a {
-            color: #60a5fa;
-        }
+    const target = href.match(/^([^?#]*)\.md(?:[?#]|$)/i)[1];
+    const { name, language } = splitLanguageSuffix(target);
+    if (language || fs.existsSync(path.join(ARTICLES_DIR, rendering.folder, `${name}.${rendering.lang}.md`))) return rewritten;
 
-        [data-theme="dark"] .footer a:hover {
-            color: #93c5fd;
-        }
+    const depth = rendering.folder ? rendering.folder.split(path.sep).length : 0;
+    const folder = rendering.folder ? `${rendering.folder.split(path.sep).join('/')}/` : '';
+    return `${'../'.repeat(depth + 1)}${getRootPath(rendering.lang)}articles/${folder}${rewritten}`;
+}
 
-        /* Add bottom padding to body to account for fixed footer */
-        body {
-            padding-bottom: 3rem;
-        }
+renderer.link = function(href, title, text) {
+    if (rendering && href) rendering.links.push({ type: 'link', href });
+    if (SANITIZE_HTML && href && !isSafeUrl(href)) return text;
+    const asset = getRenderedAsset(href);
+    return marked.Renderer.prototype.link.call(this, asset ? asset.href : getArticleLinkHref(href), title, text);
+};
 
-        /* General hyperlink improvements for better visibility */
-        a {
-            color: var(--primary);
-            transition: color 0.2s ease;
-        }
+renderer.image = function(href, title, text) {
+    if (rendering && href) rendering.links.push({ type: 'image', href });
+    if (SANITIZE_HTML && href && !isSafeUrl(href)) return text;
+    const asset = getRenderedAsset(href);
+    const attributes = [];
+    if (asset && asset.size) attributes.push(`width="${asset.size.width}" height="${asset.size.height}"`);
+    if (asset && asset.srcset) attributes.push(`srcset="${asset.srcset}" sizes="(max-width: 800px) 100vw, 800px"`);
+    attributes.push('loading="lazy" decoding="async"');
+    return marked.Renderer.prototype.image.call(this, asset ? asset.href : href, title, text)
+        .replace(/>$/, ` ${attributes.join(' ')}>`);
+};
 
-        a:hover {
-            color: var(--primary-light);
+// A marked instance per configuration, so plugins' extensions and renderer overrides never pile up.
+// Plugin renderer methods run before the ones above and fall back to them by returning false.
+function createMarkdownParser(pluginList) {
+    const parser = new Marked({
+        renderer,
+        extensions: [containerExtension, quizExtension],
+        hooks: {
+            preprocess(markdown) {
+                headingIds = new Map();
+                resetContainerIds();
+                resetQuizIds();
+                return markdown;
+            }
         }
+    });
+    pluginList.filter(plugin => plugin.marked).forEach(plugin => parser.use(plugin.marked));
+    return parser;
+}
 
-        [data-theme="dark"] a {
-            color: #60a5fa;
-        }
+// MVC Components
+// Prev/next links for the navigation partial, or null when the page has none
+function getNavigationLinks(navigation, currentFolder = '') {
+    if (!navigation || (!navigation.prev && !navigation.next)) return null;
+    
+    const toLink = article => article ? { url: getRelativeArticlePath(article.slug, currentFolder), title: article.title } : null;
+    return { prev: toLink(navigation.prev), next: toLink(navigation.next) };
+}
 
-        [data-theme="dark"] a:hover {
-            color: #93c5fd;
-        }
-    `;
+function getSeriesOutlineComponent(navigation) {
+    if (!navigation || !navigation.series) return '';
+    const { series, part } = navigation;
+
+    // Kept free of blank lines so marked treats it as a single HTML block
+    return `<div class="series-info">
+<div class="series-indicator"><a href="index.html">${escapeHtml(series.title)}</a> &middot; ${escapeHtml(translate('series.part', { part, total: series.articles.length }))}</div>
+<details class="series-outline">
+<summary>${escapeHtml(translate('series.outline'))}</summary>
+<ol>
+${series.articles.map((article, i) => i + 1 === part ?
+    `<li class="current" aria-current="page" data-article="${escapeHtml(article.slug)}">${escapeHtml(article.title)}</li>` :
+    `<li data-article="${escapeHtml(article.slug)}"><a href="${escapeHtml(encodeURIComponent(article.baseName))}.html">${escapeHtml(article.title)}</a></li>`).join('\n')}
+</ol>
+</details>
+</div>`;
 }
 
-function getNavigationComponent(navigation, currentFolder = '') {
-    if (!navigation || (!navigation.prev && !navigation.next)) return '';
-    
-    return `
-        <nav class="article-navigation">
-            ${navigation.prev ? `
-            <a href="${getRelativeArticlePath(navigation.prev.slug, currentFolder)}" class="nav-link prev">
-                <div class="nav-label">← Previous</div>
-                <div class="nav-title">${navigation.prev.title}</div>
-            </a>
-            ` : '<div></div>'}
-            ${navigation.next ? `
-            <a href="${getRelativeArticlePath(navigation.next.slug, currentFolder)}" class="nav-link next">
-                <div class="nav-label">Next →</div>
-                <div class="nav-title">${navigation.next.title}</div>
-            </a>
-            ` : '<div></div>'}
-        </nav>
-    `;
-}
-
-function getRelativeArticlePath(targetSlug, currentFolder) {
+function getRelativeArticlePath(slug, currentFolder) {
+    const targetSlug = encodeSlug(slug);
     const targetParts = targetSlug.split('/');
-    const currentParts = currentFolder ? currentFolder.split('/') : [];
+    const currentParts = currentFolder ? encodeSlug(currentFolder).split('/') : [];
     
     // If both are in the same folder, just use the filename
     if (targetParts.length > 1 && currentParts.length > 0 && targetParts[0] === currentParts[0]) {
@@ -239,323 +272,188 @@ function getRelativeArticlePath(targetSlug, currentFolder) {
     return `${targetSlug}.html`;
 }
 
-function getThemeScript() {
-    return `
-        let isDark = localStorage.getItem('theme') === 'dark';
-        function setTheme(dark) {
-            isDark = dark; // Update the isDark variable
-            document.documentElement.setAttribute('data-theme', dark ? 'dark' : 'light');
-            localStorage.setItem('theme', dark ? 'dark' : 'light');
-            document.getElementById('themeToggle').textContent = dark ? 'Light' : 'Dark';
-        }
-        document.getElementById('themeToggle').addEventListener('click', () => setTheme(!isDark));
-        const saved = localStorage.getItem('theme');
-        const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
-        setTheme(saved === 'dark' || (!saved && prefersDark));
-    `;
-}
-
-function getArticleTemplate(title, date, content, slug, navigation = null, relativePath = '') {
-    return `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${title} - Learning Never Ends</title>
-    <style>
-        ${getSharedStyles()}
-        
-        .article-content {
-            max-width: 800px;
-            margin: 0 auto;
-            padding: 0 1rem;
-        }
-
-        .article-post {
-            background: var(--card-bg);
-            border-radius: 16px;
-            padding: 2rem 1.5rem;
-            border: 1px solid var(--border);
-            box-shadow: var(--shadow);
-            margin: 1rem 0;
-            font-size: 1.1rem;
-            line-height: 1.7;
-        }
-
-        .article-post h1:first-child { 
-            font-weight: 800; 
-            font-size: clamp(1.5rem, 5vw, 2.5rem);
-            background: linear-gradient(135deg, var(--primary), var(--primary-light));
-            -webkit-background-clip: text;
-            -webkit-text-fill-color: transparent;
-            background-clip: text;
-            margin: 0 0 0.5rem 0; 
-            line-height: 1.2;
-        }
-
-        .article-post h1:first-child + p em {
-            color: var(--text-light);
-            font-size: 0.9rem;
-            font-weight: 500;
-            display: block;
-            margin-bottom: 1rem;
-        }
-
-        .article-excerpt-display {
-            background: var(--card-bg);
-            border-left: 4px solid var(--primary);
-            padding: 1rem 1.5rem;
-            margin: 1rem 0 2rem 0;
-            border-radius: 0 8px 8px 0;
-            font-style: italic;
-            color: var(--text-light);
-            font-size: 1.05rem;
-            line-height: 1.6;
-        }
-
-        .article-tags {
-            display: flex;
-            flex-wrap: wrap;
-            gap: 0.5rem;
-            margin-bottom: 2rem;
-        }
-
-        .tag {
-            background: linear-gradient(135deg, var(--primary), var(--primary-light));
-            color: white;
-            padding: 0.25rem 0.75rem;
-            border-radius: 16px;
-            font-size: 0.8rem;
-            font-weight: 600;
-            text-decoration: none;
-            display: inline-block;
-            transition: all 0.2s ease;
-        }
-
-        .tag:hover {
-            transform: translateY(-1px);
-            box-shadow: 0 4px 12px rgba(6, 182, 212, 0.3);
-        }
-
-        .article-post h1, .article-post h2 { 
-            font-weight: 700; 
-            margin: 2rem 0 1rem 0; 
-            color: var(--text);
-            font-size: clamp(1.2rem, 4vw, 1.8rem);
-        }
-
-        .article-post h1:first-child, .article-post h2:first-child { 
-            margin-top: 0; 
-        }
-
-        .article-post p { 
-            margin-bottom: 1.2rem;
-            font-size: clamp(0.95rem, 2.5vw, 1.1rem);
-        }
-
-        .article-post pre {
-            background: #f8fafc;
-            border: 1px solid var(--border);
-            border-radius: 8px;
-            padding: 1rem;
-            overflow-x: auto;
-            margin: 1.5rem 0;
-            font-size: 0.85rem;
-        }
+// Every language but the default one is built into its own tree, public/<lang>/
+function getLanguagePrefix(language) {
+    return language === DEFAULT_LANGUAGE ? '' : `${language}/`;
+}
 
-        [data-theme="dark"] .article-post pre { 
-            background: #1f2937; 
-        }
+function getLanguageDir(language, ...parts) {
+    return path.join(PUBLIC_DIR, getLanguagePrefix(language), ...parts);
+}
 
-        .article-post ul, .article-post ol {
-            margin: 1rem 0 1rem 1.5rem;
-        }
+// The relative path from a language's tree up to public/, where the shared assets are
+function getRootPath(language) {
+    return language === DEFAULT_LANGUAGE ? '' : '../';
+}
 
-        .article-post li {
-            margin-bottom: 0.5rem;
-            font-size: clamp(0.95rem, 2.5vw, 1.1rem);
-        }
+// A slug or series folder as a URL path: every folder and the file name encoded, the slashes kept
+function encodeSlug(slug) {
+    return slug.split('/').map(encodeURIComponent).join('/');
+}
 
-        .plantuml-diagram {
-            text-align: center;
-            margin: 1.5rem 0;
-        }
+// Unique across languages, unlike the slug that translations share
+function getArticleId(article) {
+    return `${getLanguagePrefix(article.lang)}${article.slug}`;
+}
 
-        .plantuml-diagram img {
-            max-width: 100%;
-            height: auto;
-            border: 1px solid var(--border);
-            border-radius: 8px;
-            background: white;
-            padding: 0.5rem;
-        }
+// The default language first, then the others alphabetically
+function compareLanguages(a, b) {
+    return (b === DEFAULT_LANGUAGE) - (a === DEFAULT_LANGUAGE) || a.localeCompare(b);
+}
 
-        [data-theme="dark"] .plantuml-diagram img {
-            background: #f8fafc;
-        }
+// The languages to build; the default one always gets a home page
+function getLanguages(articles) {
+    return [...new Set([DEFAULT_LANGUAGE, ...articles.map(article => article.lang)])].sort(compareLanguages);
+}
 
-        .article-navigation {
-            display: flex;
-            justify-content: space-between;
-            gap: 0.75rem;
-            margin: 1.5rem auto;
-            padding: 0 1rem;
-            max-width: 800px;
-        }
+// The shared stylesheet and script in public/assets/, set by buildSiteAssets
+let siteAssets = null;
 
-        .nav-link {
-            display: flex;
-            flex-direction: column;
-            color: var(--primary);
-            text-decoration: none;
-            padding: 0.75rem;
-            border-radius: 8px;
-            border: 1px solid var(--border);
-            background: var(--card-bg);
-            flex: 1;
-            max-width: 48%;
-            transition: all 0.2s ease;
-            box-shadow: var(--shadow);
-        }
+// Pages written since the last size report, so it can minify and measure them
+let writtenPages = [];
 
-        .nav-link:hover {
-            background: var(--primary);
-            color: white;
-            transform: translateY(-1px);
-            box-shadow: 0 6px 20px rgba(6, 182, 212, 0.25);
-        }
+// Every page gets the Content-Security-Policy from site.config.js; optimizePages refreshes it after minifying
+function withSecurityPolicy(html) {
+    return CONTENT_SECURITY_POLICY ? addContentSecurityPolicy(html, CONTENT_SECURITY_POLICY) : html;
+}
 
-        .nav-label {
-            font-size: 0.75rem;
-            font-weight: 600;
-            opacity: 0.7;
-            margin-bottom: 0.25rem;
-        }
+// Plugins' page hooks see the finished page; the policy comes last so it covers inline code they add
+function writePage(file, html) {
+    const page = { file: path.relative(PUBLIC_DIR, file).split(path.sep).join('/'), lang: getActiveLocale().language };
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, withSecurityPolicy(applyPageHooks(plugins, html, page)));
+    writtenPages.push(file);
+}
 
-        .nav-title {
-            font-size: 0.85rem;
-            font-weight: 700;
-            line-height: 1.3;
-        }
+// One stylesheet and one script for every page, named after their content so browsers can cache them for good
+async function buildSiteAssets() {
+    const data = getSiteData();
+    const sources = {
+        css: ['site.css', 'article.css', 'index.css'].map(name => templates.renderPartial(name, data)).join('\n'),
+        js: templates.renderPartial('site.js', data)
+    };
+    const output = {
+        css: PRODUCTION ? minifyCss(sources.css) : sources.css,
+        js: PRODUCTION ? await minifyScript(sources.js) : sources.js
+    };
 
-        .nav-link.prev {
-            text-align: left;
-        }
+    // The base rules (theme, header, footer) are enough for a first paint while the stylesheet loads
+    let criticalCss = '';
+    if (siteConfig.build && siteConfig.build.criticalCss) {
+        criticalCss = templates.renderPartial('site.css', data);
+        if (PRODUCTION) criticalCss = minifyCss(criticalCss);
+    }
 
-        .nav-link.next {
-            text-align: right;
-        }
+    siteAssets = { criticalCss, sizes: [] };
+    for (const type of ['css', 'js']) {
+        siteAssets[type] = `assets/${writeFingerprinted(ASSETS_PUBLIC_DIR, 'site', type, output[type])}`;
+        siteAssets.sizes.push({
+            file: siteAssets[type],
+            before: Buffer.byteLength(sources[type]),
+            after: Buffer.byteLength(output[type]),
+            gzip: getGzipSize(output[type])
+        });
+    }
+    if (OFFLINE) await buildManifest();
+    log(`  Assets: ${siteAssets.css}, ${siteAssets.js}${criticalCss ? ' (critical CSS inlined)' : ''}${siteAssets.manifest ? `, ${siteAssets.manifest}` : ''}`);
+}
 
-        /* Mobile Optimizations */
-        @media (max-width: 768px) {
-            .article-content { 
-                padding: 0 0.5rem; 
-            }
-            
-            .article-post { 
-                margin: 0.5rem; 
-                padding: 1.5rem 1rem; 
-                border-radius: 12px;
-            }
-            
-            .article-navigation {
-                flex-direction: column;
-                gap: 0.5rem;
-                padding: 0 0.5rem;
-                margin: 1rem auto;
-            }
-            
-            .nav-link {
-                max-width: 100%;
-                padding: 1rem;
-                text-align: center !important;
-            }
-            
-            .nav-title {
-                font-size: 0.9rem;
-            }
-            
-            .header {
-                padding: 1.05rem 0 0.7rem 0;
-            }
-            
-            .hero-title {
-                font-size: clamp(1.8rem, 8vw, 2.5rem);
-                margin-bottom: 0.5rem;
-            }
-            
-            .theme-toggle {
-                top: 1rem;
-                right: 1rem;
-                padding: 0.5rem 1rem;
-                font-size: 0.85rem;
-            }
-            
-            .article-post pre {
-                font-size: 0.8rem;
-                padding: 0.75rem;
-                border-radius: 6px;
-            }
-        }
+// "Learning Never Ends" -> "LNE", for the generated home screen icon
+function getInitials(title) {
+    return title.split(/\s+/).filter(Boolean).slice(0, 3).map(word => word[0].toUpperCase()).join('') || '?';
+}
 
-        /* Small Mobile Devices */
-        @media (max-width: 480px) {
-            .container {
-                padding: 0 1rem;
-            }
-            
-            .article-content {
-                padding: 0 0.25rem;
-            }
-            
-            .article-post {
-                margin: 0.25rem;
-                padding: 1rem 0.75rem;
-            }
-            
-            .nav-link {
-                padding: 0.75rem 0.5rem;
-            }
-            
-            .theme-toggle {
-                padding: 0.4rem 0.8rem;
-                font-size: 0.8rem;
-            }
-        }
-    </style>
-</head>
-<body>
-    <button id="themeToggle" class="theme-toggle">Dark</button>
-    
-    <header class="header">
-        <div class="container">
-            <h1 class="hero-title">
-                <a href="${relativePath}../index.html">Learning Never Ends</a>
-            </h1>
-        </div>
-    </header>
+// The web app manifest and its icons: offline.icon from the site config, or layouts/partials/icon.svg
+async function buildManifest() {
+    let icon = OFFLINE.icon;
+    if (icon && !fs.existsSync(icon)) throw new Error(`Icon ${path.relative(process.cwd(), icon)} from the site config not found`);
+    if (!icon) {
+        const initials = getInitials(SITE_TITLE);
+        icon = Buffer.from(templates.renderPartial('icon.svg', { ...getSiteData(), initials, fontSize: [300, 240, 200][initials.length - 1] }).trim());
+    }
+    const icons = await writeIcons(ASSETS_PUBLIC_DIR, icon);
+    fs.writeFileSync(path.join(PUBLIC_DIR, 'manifest.webmanifest'), getManifest({
+        name: SITE_TITLE,
+        shortName: OFFLINE.shortName,
+        description: SITE_DESCRIPTION,
+        lang: DEFAULT_LANGUAGE,
+        backgroundColor: siteConfig.theme.light.bg,
+        themeColor: siteConfig.theme.light.primary,
+        icons: icons.map(entry => ({ ...entry, src: `assets/${entry.src}` }))
+    }));
+    siteAssets.manifest = 'manifest.webmanifest';
+    siteAssets.icons = icons.map(entry => `assets/${entry.src}`);
+}
 
-    ${getNavigationComponent(navigation, slug.includes('/') ? slug.split('/')[0] : '')}
+// Minifies the pages written so far in production mode, then reports their sizes before and after
+async function optimizePages() {
+    const sizes = [];
+    for (const file of writtenPages) {
+        const html = fs.readFileSync(file, 'utf-8');
+        const minified = PRODUCTION ? withSecurityPolicy(await minifyPage(html)) : html;
+        if (minified !== html) fs.writeFileSync(file, minified);
+        sizes.push({
+            file: path.relative(PUBLIC_DIR, file).split(path.sep).join('/'),
+            before: Buffer.byteLength(html),
+            after: Buffer.byteLength(minified),
+            gzip: getGzipSize(minified)
+        });
+    }
+    writtenPages = [];
 
-    <main class="article-content">
-        <article class="article-post">
-            ${content}
-        </article>
-    </main>
+    log(`\nPage sizes${PRODUCTION ? ' (minified)' : ''}:`);
+    log(getSizeReport(sizes));
+    log(`Assets${PRODUCTION ? ' (minified)' : ''}:`);
+    log(getSizeReport(siteAssets.sizes));
+}
 
-    ${getNavigationComponent(navigation, slug.includes('/') ? slug.split('/')[0] : '')}
+// Everything the layouts can use about the site itself, in the language being built.
+// scriptStrings are the UI strings site.js and the home page script read from the page.
+function getSiteData() {
+    const locale = getActiveLocale();
+    return {
+        site: { ...siteConfig, url: SITE_URL },
+        theme: siteConfig.theme,
+        lang: locale.language,
+        strings: locale.strings,
+        scriptStrings: toInlineJson(locale.strings.script || {}, 0)
+    };
+}
 
-    <footer class="footer">
-        <div class="container">
-            For feedback or suggestions, send a mail to <a href="mailto:crazyash@live.in">crazyash@live.in</a>
-        </div>
-    </footer>
+// prefix is the relative path from the page to public/
+function getAssetData(prefix) {
+    return {
+        stylesheet: `${prefix}${siteAssets.css}`,
+        script: `${prefix}${siteAssets.js}`,
+        criticalCss: siteAssets.criticalCss,
+        manifest: siteAssets.manifest ? `${prefix}${siteAssets.manifest}` : ''
+    };
+}
 
-    <script>
-        ${getThemeScript()}
-    </script>
-</body>
-</html>`;
+// meta.feeds lists extra { title, prefix } feed folders to advertise next to the site-wide feeds,
+// meta.head is extra markup for <head> (SEO tags), meta.toc is the table of contents sidebar,
+// meta.layout picks the file in layouts/ to render with, meta.translations feeds the language switcher.
+// relativePath leads to the articles/ folder of the page's language; the page is in the language being built.
+function getArticleTemplate(title, date, content, slug, navigation = null, relativePath = '', meta = {}) {
+    const { feeds = [], head = '', toc = '', layout = DEFAULT_LAYOUT, progress = false, translations = [] } = meta;
+    const feedLinks = [getFeedLinks(SITE_TITLE, `${relativePath}../`), ...feeds.map(feed => getFeedLinks(feed.title, feed.prefix))];
+
+    return templates.render(layout, {
+        ...getSiteData(),
+        ...getAssetData(`${relativePath}../${getRootPath(getActiveLocale().language)}`),
+        title: `${title} - ${SITE_TITLE}`,
+        pageTitle: title,
+        date,
+        slug,
+        homeUrl: `${relativePath}../index.html`,
+        feedLinks: feedLinks.join('\n    '),
+        head,
+        navigation: getNavigationLinks(navigation, slug.includes('/') ? slug.split('/')[0] : ''),
+        toc,
+        progress,
+        translations: translations.length > 1 ? translations : [],
+        content
+    });
 }
 
 function getMarkdownFiles() {
@@ -576,7 +474,7 @@ function getMarkdownFiles() {
             if (fs.statSync(fullPath).isDirectory()) {
                 // Recursively scan subdirectories
                 scanDirectory(fullPath, itemRelativePath);
-            } else if (item.endsWith('.md')) {
+            } else if (item.endsWith('.md') && !isSeriesFile(item)) {
                 files.push(itemRelativePath);
             }
         }
@@ -586,15 +484,27 @@ function getMarkdownFiles() {
     return files;
 }
 
+// _series.md, or a translation of it such as _series.de.md
+function isSeriesFile(filename) {
+    return splitLanguageSuffix(path.parse(filename).name).name === path.parse(SERIES_FILE).name;
+}
+
+// Front matter and Markdown of a file under articles/, after the plugins' parse hooks. The data is copied first
+// because gray-matter hands out the same object for the same text.
+function parseMarkdownFile(filename, text) {
+    const { data, content } = matter(text);
+    return applyParseHooks(plugins, { filename, data: { ...data }, content }, path.join('articles', filename));
+}
+
 function parseArticle(filename) {
     const filepath = path.join(ARTICLES_DIR, filename);
     const content = fs.readFileSync(filepath, 'utf-8');
-    const { data, content: markdown } = matter(content);
+    const { data, content: markdown } = parseMarkdownFile(filename, content);
     
-    // Extract folder and base filename
+    // Extract folder and base filename; a translation (name.de.md) shares the slug of the article it translates
     const parsedPath = path.parse(filename);
     const folder = parsedPath.dir;
-    const baseName = parsedPath.name;
+    const { name: baseName, language: fileLanguage } = splitLanguageSuffix(parsedPath.name);
     const slug = folder ? `${folder}/${baseName}` : baseName;
     
     return {
@@ -602,45 +512,101 @@ function parseArticle(filename) {
         slug,
         folder,
         baseName,
+        lang: data.lang || fileLanguage || DEFAULT_LANGUAGE,
+        fileLanguage,
+        source: content,
+        frontMatter: data,
         title: data.title || baseName.replace(/^\d+-/, '').replace(/-/g, ' '),
-        date: data.date || new Date().toISOString().split('T')[0],
-        excerpt: data.excerpt || markdown.substring(0, 150).replace(/[#*_]/g, '') + '...',
+        date: toDateString(data.date),
+        draft: data.draft === true,
+        publishAt: toDateString(data.publishAt || data.date),
+        updated: toDateString(data.updated),
+        excerpt: data.excerpt || createExcerpt(markdown),
         content: markdown,
         tags: data.tags || [],
         author: data.author || '',
+        toc: data.toc !== false,
+        tocDepth: data.tocDepth || 3,
+        layout: data.layout || DEFAULT_LAYOUT,
         // Add numerical order for sorting
         order: extractOrder(baseName)
     };
 }
 
+// YAML reads unquoted dates as Date objects; keep the plain YYYY-MM-DD the author wrote
+function toDateString(value) {
+    return value instanceof Date ? value.toISOString().split('T')[0] : value;
+}
+
+// The front matter's `updated`, otherwise the last commit of the source file when that is later than the publish date
+function getUpdatedDate(article, commitDates) {
+    if (article.updated) return article.updated;
+    const committed = commitDates.get(article.filename);
+    return committed && article.date && committed > String(article.date) ? committed : null;
+}
+
+// Why an article is held back from the published site: 'draft', 'scheduled' or null when it is live
+function getPublishStatus(article, today = new Date().toISOString().split('T')[0]) {
+    if (article.draft) return 'draft';
+    if (article.publishAt && String(article.publishAt) > today) return 'scheduled';
+    return null;
+}
+
+// Plain text of the first paragraph, cut at a word boundary
+function createExcerpt(markdown, maxLength = 150) {
+    const paragraph = markdownParser.lexer(markdown).find(token => token.type === 'paragraph');
+    if (!paragraph) return '';
+
+    // Inline tags go without a trace ("a [link](x)." -> "a link."); only line breaks become spaces
+    const text = stripHtml(markdownParser.parseInline(paragraph.text).replace(/<br\s*\/?>/gi, ' ').replace(/<[^>]+>/g, ''));
+    if (text.length <= maxLength) return text;
+
+    const cut = text.lastIndexOf(' ', maxLength);
+    return `${text.slice(0, cut > 0 ? cut : maxLength).replace(/[\s,.;:!?-]+$/, '')}...`;
+}
+
 function extractOrder(filename) {
     const match = filename.match(/^(\d+)-/);
     return match ? parseInt(match[1], 10) : 999999; // Put non-numbered articles at the end
 }
 
-async function buildArticles() {
+// Returns the articles to build plus every unpublished one, which only ends up in `articles` with includeDrafts
+function loadArticles(includeDrafts = INCLUDE_DRAFTS) {
     const files = getMarkdownFiles();
+    const commitDates = getLastCommitDates(ARTICLES_DIR);
     let articles = [];
     
-    console.log('Building articles...');
-    
     // First pass: parse all articles
     for (const file of files) {
         const article = parseArticle(file);
         articles.push({ 
+            filename: article.filename,
+            source: article.source,
             title: article.title, 
             slug: article.slug,
             folder: article.folder,
             baseName: article.baseName,
+            lang: article.lang,
             date: article.date, 
+            updated: getUpdatedDate(article, commitDates),
             excerpt: article.excerpt,
             content: article.content,
             tags: article.tags,
             author: article.author,
+            toc: article.toc,
+            tocDepth: article.tocDepth,
+            layout: article.layout,
+            publishAt: article.publishAt,
+            status: getPublishStatus(article),
             order: article.order
         });
     }
     
+    const heldBack = articles.filter(article => article.status);
+    if (!includeDrafts) {
+        articles = articles.filter(article => !article.status);
+    }
+
     // Sort articles: Global reverse chronological order by date, then by filename
     articles.sort((a, b) => {
         // First priority: Sort by date (newest first for reverse chronological learning path)
@@ -655,102 +621,1345 @@ async function buildArticles() {
         return a.baseName.localeCompare(b.baseName);
     });
     
+    loadSeries(articles);
+    linkTranslations(articles);
+    return { articles, heldBack };
+}
+
+// Articles with the same slug are translations of each other; each one lists all of them, itself included
+function linkTranslations(articles) {
+    const bySlug = new Map();
+    for (const article of articles) {
+        if (!bySlug.has(article.slug)) bySlug.set(article.slug, []);
+        bySlug.get(article.slug).push(article);
+    }
+    for (const translations of bySlug.values()) {
+        translations.sort((a, b) => compareLanguages(a.lang, b.lang));
+        translations.forEach(article => { article.translations = translations; });
+    }
+}
+
+function formatFolderTitle(folder) {
+    return path.basename(folder)
+        .split(/[-_]/)
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
+}
+
+// _series.<lang>.md translates a series' _series.md; without one the series keeps the default language's text
+function getSeriesFile(folder, language) {
+    const translated = path.join(ARTICLES_DIR, folder, `${path.parse(SERIES_FILE).name}.${language}.md`);
+    return language !== DEFAULT_LANGUAGE && fs.existsSync(translated) ? translated : path.join(ARTICLES_DIR, folder, SERIES_FILE);
+}
+
+function parseSeries(folder, language) {
+    // Optional _series.md front matter overrides the title derived from the folder name
+    const filepath = getSeriesFile(folder, language);
+    const { data, content } = fs.existsSync(filepath) ?
+        parseMarkdownFile(path.relative(ARTICLES_DIR, filepath), fs.readFileSync(filepath, 'utf-8')) :
+        { data: {}, content: '' };
+
+    return {
+        folder,
+        lang: language,
+        title: data.title || formatFolderTitle(folder),
+        description: data.description || '',
+        cover: data.cover || '',
+        intro: content.trim(),
+        articles: []
+    };
+}
+
+// Groups articles by folder and orders each series by its numeric filename prefix.
+// Each language has its own series for a folder, made of the parts written in that language.
+function loadSeries(articles) {
+    const seriesByFolder = new Map();
+
+    for (const article of articles) {
+        if (!article.folder) continue;
+        const key = `${article.lang}/${article.folder}`;
+        if (!seriesByFolder.has(key)) {
+            seriesByFolder.set(key, parseSeries(article.folder, article.lang));
+        }
+        seriesByFolder.get(key).articles.push(article);
+    }
+
+    const series = [...seriesByFolder.values()];
+    for (const entry of series) {
+        entry.articles.sort((a, b) => (a.order - b.order) || a.baseName.localeCompare(b.baseName));
+        entry.articles.forEach(article => { article.series = entry; });
+        entry.translations = series
+            .filter(other => other.folder === entry.folder)
+            .sort((a, b) => compareLanguages(a.lang, b.lang));
+    }
+
+    return series;
+}
+
+function getSeriesList(articles) {
+    // Articles are sorted newest first, so series come out ordered by their latest article
+    return [...new Set(articles.filter(article => article.series).map(article => article.series))];
+}
+
+function getArticleNavigation(article) {
+    // Navigation stays within the article's series, in numeric order, without wrapping around
+    if (!article.series) return { prev: null, next: null, series: null, part: null };
+
+    const siblings = article.series.articles;
+    const position = siblings.indexOf(article);
+
+    return {
+        prev: position > 0 ? siblings[position - 1] : null,
+        next: position < siblings.length - 1 ? siblings[position + 1] : null,
+        series: article.series,
+        part: position + 1
+    };
+}
+
+function getArticleOutputFile(article) {
+    return getLanguageDir(article.lang, 'articles', article.folder, `${article.baseName}.html`);
+}
+
+// The article body without its leading H1, which the page header and feeds render from front matter
+function getArticleMarkdown(article) {
+    return article.content.replace(/^#\s+.*$/m, '').trim();
+}
+
+// Rendered once per build and shared by the page, the feeds and the search index so heading ids agree.
+// Default callout titles and quiz buttons come out in the article's language.
+function getArticleHtml(article) {
+    if (article.html === undefined) {
+        Object.assign(article, renderMarkdown(getArticleMarkdown(article), article.folder, article.lang));
+    }
+    return article.html;
+}
+
+// { html, links, assets } for Markdown as if it were an article in `folder` (relative to the articles folder)
+function renderMarkdown(markdown, folder = '', lang = DEFAULT_LANGUAGE) {
+    const previousLanguage = useLocale(lang);
+    rendering = { folder, lang, links: [], assets: new Map() };
+    try {
+        return { html: markdownParser.parse(markdown), links: rendering.links, assets: [...rendering.assets.values()] };
+    } finally {
+        rendering = null;
+        useLocale(previousLanguage);
+    }
+}
+
+// Word counts and reading time of the rendered body, shared by the page header, the index card and the structured data
+function getArticleStats(article) {
+    if (article.stats === undefined) {
+        article.stats = getReadingStats(getArticleHtml(article));
+    }
+    return article.stats;
+}
+
+// How many quizzes (and questions in them) the rendered body has and their keys, for the series quiz summary
+function getArticleQuizzes(article) {
+    const forms = [...getArticleHtml(article).matchAll(/<form class="quiz"[^>]*data-quiz="([^"]*)" data-questions="(\d+)"/g)];
+    return {
+        quizzes: forms.length,
+        keys: forms.map(match => match[1]),
+        questions: forms.reduce((sum, match) => sum + parseInt(match[2], 10), 0)
+    };
+}
+
+// Table of contents from the rendered body's headings, down to the article's tocDepth (h2..h6)
+function getTocComponent(article) {
+    if (!article.toc) return '';
+
+    const maxLevel = Math.min(Math.max(parseInt(article.tocDepth, 10) || 3, 2), 6);
+    const headingPattern = /<h([2-6]) id="([^"]+)">([\s\S]*?)<\/h\1>/g;
+    const entries = [];
+    let match;
+
+    while ((match = headingPattern.exec(getArticleHtml(article)))) {
+        const level = parseInt(match[1], 10);
+        if (level > maxLevel) continue;
+        const text = match[3].replace(/<a class="heading-anchor"[\s\S]*?<\/a>/, '').replace(/<[^>]+>/g, '').trim();
+        entries.push({ level, id: match[2], text });
+    }
+
+    if (entries.length < 2) return '';
+
+    return `<details class="article-toc" open>
+            <summary>${escapeHtml(translate('article.onThisPage'))}</summary>
+            <nav aria-label="${escapeHtml(translate('article.tableOfContents'))}">
+                <ol>
+                    ${entries.map(entry => `<li class="toc-level-${entry.level}"><a href="#${entry.id}">${entry.text}</a></li>`).join('\n                    ')}
+                </ol>
+            </nav>
+        </details>`;
+}
+
+function getDraftBanner(article) {
+    const message = article.status === 'draft' ?
+        translate('article.draft') :
+        translate('article.scheduled', { date: formatDate(article.publishAt) });
+    return `<div class="draft-banner" role="note">${escapeHtml(message)}</div>`;
+}
+
+async function writeArticlePage(article, navigation) {
+    // Create the output directory if it doesn't exist
+    const outputFile = getArticleOutputFile(article);
+    const outputDir = path.dirname(outputFile);
+
+    if (!fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
+    }
+
+    // Add title, date, excerpt, and tags to the beginning of the content.
+    // The title is plain HTML so it never takes a heading id away from the body.
+    let contentWithHeader = article.status ? `${getDraftBanner(article)}\n\n` : '';
+    const stats = getArticleStats(article);
+    const meta = [
+        formatDate(article.date),
+        ...(article.updated ? [translate('article.updatedOn', { date: formatDate(article.updated) })] : []),
+        formatReadingTime(stats),
+        formatWordCount(stats)
+    ];
+    contentWithHeader += `<h1>${escapeHtml(article.title)}</h1>\n\n*${meta.join(' &middot; ')}*\n\n`;
+
+    if (article.excerpt) {
+        contentWithHeader += `<div class="article-excerpt-display"><em>${escapeHtml(article.excerpt)}</em></div>\n\n`;
+    }
+
+    if (article.tags && article.tags.length > 0) {
+        const tagsHtml = `<div class="article-tags">${article.tags.map(tag => `<a class="tag" href="${getTagPath(tag, article.folder ? '../' : '')}">#${escapeHtml(tag)}</a>`).join('')}</div>`;
+        contentWithHeader += `${tagsHtml}\n\n`;
+    }
+
+    const seriesOutline = getSeriesOutlineComponent(navigation);
+    if (seriesOutline) {
+        contentWithHeader += `${seriesOutline}\n\n`;
+    }
+
+    const diagrams = await renderArticleDiagrams(article, outputDir, markdownParser.lexer(article.content));
+    const htmlContent = markdownParser.parse(contentWithHeader) + getArticleHtml(article);
+    const assets = await copyAssets(article.assets, getLanguageDir(article.lang, 'articles'));
+
+    // Calculate relative path to index.html
+    const relativePath = article.folder ? '../' : '';
+    const feeds = article.series ? [{ title: article.series.title, prefix: '' }] : [];
+    const html = getArticleTemplate(article.title, article.date, htmlContent, article.slug, navigation, relativePath, {
+        feeds,
+        head: getArticleSeoTags(article, navigation) + (article.status ? '\n    <meta name="robots" content="noindex">' : ''),
+        toc: getTocComponent(article),
+        layout: article.layout,
+        progress: true,
+        translations: article.translations.map(translation => ({
+            lang: translation.lang,
+            name: getLocale(translation.lang).name,
+            url: `${relativePath}../${getRootPath(article.lang)}${getLanguagePrefix(translation.lang)}articles/${encodeSlug(translation.slug)}.html`,
+            current: translation === article
+        }))
+    });
+    writePage(outputFile, html);
+    const diagramInfo = diagrams.total ? ` [${diagrams.total} diagrams, ${diagrams.rendered} rendered]` : '';
+    const assetInfo = assets.total ? ` [${assets.total} assets, ${assets.written} files written]` : '';
+    log(`  ${article.title} (${article.date}) -> ${getArticleId(article)}${diagramInfo}${assetInfo}`);
+}
+
+// The home page card for an article, from layouts/partials/index-card.html
+function getIndexCard(summary) {
+    return templates.renderPartial('index-card', {
+        ...getSiteData(),
+        ...summary,
+        url: `articles/${encodeSlug(summary.slug)}.html`,
+        displayDate: formatDate(summary.date, 'short'),
+        displayUpdated: summary.updated ? translate('article.updated', { date: formatDate(summary.updated, 'short') }) : '',
+        displayStatus: summary.status ? translate(`article.status.${summary.status}`) : '',
+        readingTime: formatReadingTime(summary.stats),
+        wordCount: formatWordCount(summary.stats)
+    }).trim();
+}
+
+// Builds every article page, or only the ids (see getArticleId) in `only` when rebuilding incrementally
+async function buildArticles(articles, only = null) {
+    log('Building articles...');
+    // Pages link the shared stylesheet and script, so a script calling this directly gets them too
+    if (!siteAssets) await buildSiteAssets();
+
     // Second pass: generate HTML with navigation
     for (let i = 0; i < articles.length; i++) {
         const article = articles[i];
+        if (only && !only.has(getArticleId(article))) continue;
         
-        // Create the output directory if it doesn't exist
-        const outputDir = article.folder ? 
-            path.join(ARTICLES_PUBLIC_DIR, article.folder) : 
-            ARTICLES_PUBLIC_DIR;
-        
-        if (!fs.existsSync(outputDir)) {
-            fs.mkdirSync(outputDir, { recursive: true });
+        await writeArticlePage(article, getArticleNavigation(article));
+    }
+    
+    // Return articles without content for index page
+    return articles.map(article => {
+        const { title, slug, date, updated, excerpt, folder, tags, status } = article;
+        const summary = {
+            title,
+            slug,
+            date,
+            ...(updated ? { updated } : {}),
+            excerpt,
+            folder,
+            tags: tags.map(tag => ({ name: tag, slug: getTagSlug(tag) })),
+            stats: getArticleStats(article),
+            ...(status ? { status } : {})
+        };
+        return { ...summary, card: getIndexCard(summary) };
+    });
+}
+
+function writeSeriesPage(series) {
+    const outputDir = getLanguageDir(series.lang, 'articles', series.folder);
+    if (!fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
+    }
+
+    let content = `<h1>${escapeHtml(series.title)}</h1>\n`;
+
+    if (series.description) {
+        content += `<div class="article-excerpt-display"><em>${escapeHtml(series.description)}</em></div>\n`;
+    }
+
+    if (series.cover) {
+        // Local cover images are copied next to the landing page; URLs are used as-is
+        const coverSource = path.join(ARTICLES_DIR, series.folder, series.cover);
+        if (!/^[a-z]+:/i.test(series.cover) && fs.existsSync(coverSource)) {
+            const coverTarget = path.join(outputDir, series.cover);
+            fs.mkdirSync(path.dirname(coverTarget), { recursive: true });
+            fs.copyFileSync(coverSource, coverTarget);
         }
-        
-        // Add title, date, excerpt, and tags to the beginning of the content
-        let contentWithHeader = `# ${article.title}\n\n*${new Date(article.date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}*\n\n`;
-        
-        if (article.excerpt) {
-            contentWithHeader += `<div class="article-excerpt-display"><em>${article.excerpt}</em></div>\n\n`;
+        const coverSrc = SANITIZE_HTML && !isSafeUrl(series.cover) ? '' : series.cover;
+        if (coverSrc) content += `<img class="series-cover" src="${escapeHtml(coverSrc)}" alt="${escapeHtml(series.title)}" />\n`;
+    }
+
+    // Shown by site.js once the service worker is running
+    if (OFFLINE) {
+        content += `<div class="offline-save" data-series="${escapeHtml(getSeriesPath(series))}" hidden>
+<button type="button" class="offline-save-button">${escapeHtml(translate('script.offlineSave'))}</button>
+<span class="offline-save-status" aria-live="polite"></span>
+</div>
+`;
+    }
+
+    if (series.intro) {
+        content += markdownParser.parse(series.intro);
+    }
+
+    content += `<ol class="series-parts">
+${series.articles.map(article => `<li data-article="${escapeHtml(article.slug)}">
+    <a class="series-part-title" href="${escapeHtml(encodeURIComponent(article.baseName))}.html">${escapeHtml(article.title)}</a>
+    <span class="series-part-excerpt">${escapeHtml(article.excerpt)}</span>
+</li>`).join('\n')}
+</ol>
+`;
+    content += getQuizSummaryComponent(series);
+
+    const relativePath = '../';
+    const html = getArticleTemplate(series.title, null, content, `${series.folder}/index`, null, relativePath, {
+        feeds: [{ title: series.title, prefix: '' }],
+        head: [
+            getSeoTags({
+                siteTitle: SITE_TITLE,
+                title: series.title,
+                description: series.description,
+                url: getSeriesUrl(series),
+                image: getSeriesImage(series),
+                jsonLd: [getBreadcrumbJsonLd([
+                    { name: SITE_TITLE, url: getPageUrl('', series.lang) },
+                    { name: series.title, url: getSeriesUrl(series) }
+                ])]
+            }),
+            getAlternateLinks(series.translations.map(translation => ({ lang: translation.lang, url: getSeriesUrl(translation) })))
+        ].filter(Boolean).join('\n    ')
+    });
+    writePage(path.join(outputDir, 'index.html'), html);
+    log(`  Series: ${series.title} (${series.articles.length} parts) -> ${getLanguagePrefix(series.lang)}${series.folder}/index`);
+}
+
+// Scores come from the reader's browser (see setupQuizSummary in site.js); the page lists the parts with quizzes
+function getQuizSummaryComponent(series) {
+    const parts = series.articles
+        .map((article, i) => ({ article, part: i + 1, ...getArticleQuizzes(article) }))
+        .filter(entry => entry.quizzes);
+    if (!parts.length) return '';
+
+    return `<section class="quiz-summary" aria-labelledby="quiz-summary-title">
+<h2 id="quiz-summary-title">${escapeHtml(translate('series.quizResults'))}</h2>
+<ul>
+${parts.map(entry => `<li data-quiz-article="${escapeHtml(entry.article.slug)}" data-quizzes="${entry.keys.join(' ')}" data-questions="${entry.questions}">
+    <a href="${escapeHtml(encodeURIComponent(entry.article.baseName))}.html">${escapeHtml(translate('series.partTitle', { part: entry.part, title: entry.article.title }))}</a>
+    <span class="quiz-summary-score">${escapeHtml(translate('series.quizNotTaken'))}</span>
+</li>`).join('\n')}
+</ul>
+<p class="quiz-summary-total" aria-live="polite"></p>
+</section>
+`;
+}
+
+function buildSeriesPages(articles) {
+    const seriesList = getSeriesList(articles);
+    seriesList.forEach(writeSeriesPage);
+
+    // Summaries for the index page
+    return seriesList.map(series => ({
+        title: series.title,
+        folder: series.folder,
+        description: series.description,
+        count: series.articles.length,
+        slugs: series.articles.map(article => article.slug)
+    }));
+}
+
+function getTagSlug(tag) {
+    return slugify(tag) || 'tag';
+}
+
+// relativePath is the same "path to public/articles" prefix that getArticleTemplate receives
+function getTagPath(tag, relativePath = '') {
+    return `${relativePath}../tags/${getTagSlug(tag)}.html`;
+}
+
+// Tags are grouped by slug so "Azure" and "azure" share one page
+function collectTags(articles) {
+    const tagsBySlug = new Map();
+
+    for (const article of articles) {
+        for (const tag of article.tags) {
+            const slug = getTagSlug(tag);
+            if (!tagsBySlug.has(slug)) tagsBySlug.set(slug, { name: tag, slug, articles: [] });
+            const entry = tagsBySlug.get(slug);
+            if (!entry.articles.includes(article)) entry.articles.push(article);
         }
-        
-        if (article.tags && article.tags.length > 0) {
-            const tagsHtml = `<div class="article-tags">${article.tags.map(tag => `<span class="tag">#${tag}</span>`).join('')}</div>`;
-            contentWithHeader += `${tagsHtml}\n\n`;
+    }
+
+    return [...tagsBySlug.values()].sort((a, b) => a.name.localeCompare(b.name, getActiveLocale().locale, { sensitivity: 'base' }));
+}
+
+// Tags are sized in five steps by how often they are used; classes rather than inline styles keep the CSP strict
+function getTagCloudComponent(tags, hrefPrefix = '') {
+    const maxCount = Math.max(1, ...tags.map(tag => tag.articles.length));
+
+    return `<div class="tag-cloud">
+${tags.map(tag => {
+    const weight = Math.max(1, Math.ceil(5 * tag.articles.length / maxCount));
+    return `<a href="${hrefPrefix}${tag.slug}.html" class="tag-weight-${weight}">#${escapeHtml(tag.name)}<span class="tag-count">${tag.articles.length}</span></a>`;
+}).join('\n')}
+</div>`;
+}
+
+function writeTagPage(tag, tags, language) {
+    const content = `<h1>#${escapeHtml(tag.name)}</h1>
+<div class="article-excerpt-display"><em>${escapeHtml(translate('tags.tagged', { count: tag.articles.length, tag: tag.name }))}</em></div>
+<ul class="tag-articles">
+${tag.articles.map(article => `<li>
+    <a class="tag-article-title" href="../articles/${escapeHtml(encodeSlug(article.slug))}.html">${escapeHtml(article.title)}</a>
+    <span class="tag-article-meta">${formatDate(article.date)}${article.series ? ` &middot; ${escapeHtml(article.series.title)}` : ''}</span>
+    <span class="series-part-excerpt">${escapeHtml(article.excerpt)}</span>
+</li>`).join('\n')}
+</ul>
+<h2>${escapeHtml(translate('tags.allTags'))}</h2>
+${getTagCloudComponent(tags)}`;
+
+    const tagUrl = getPageUrl(`tags/${tag.slug}.html`, language);
+    const html = getArticleTemplate(`#${tag.name}`, null, content, `tags/${tag.slug}`, null, '', {
+        feeds: [{ title: `#${tag.name}`, prefix: `${tag.slug}/` }],
+        head: getSeoTags({
+            siteTitle: SITE_TITLE,
+            title: `#${tag.name}`,
+            description: translate('tags.description', { tag: tag.name, site: SITE_TITLE }),
+            url: tagUrl,
+            jsonLd: [getBreadcrumbJsonLd([
+                { name: SITE_TITLE, url: getPageUrl('', language) },
+                { name: translate('tags.title'), url: getPageUrl('tags/index.html', language) },
+                { name: `#${tag.name}`, url: tagUrl }
+            ])]
+        })
+    });
+    writePage(getLanguageDir(language, 'tags', `${tag.slug}.html`), html);
+}
+
+// The tag pages of one language, from that language's articles
+function buildTagPages(articles, language) {
+    const tags = collectTags(articles);
+    const tagsDir = getLanguageDir(language, 'tags');
+
+    // Start from an empty folder so tags that are no longer used lose their page
+    fs.rmSync(tagsDir, { recursive: true, force: true });
+    fs.mkdirSync(tagsDir, { recursive: true });
+
+    tags.forEach(tag => writeTagPage(tag, tags, language));
+
+    const title = translate('tags.title');
+    const indexContent = `<h1>${escapeHtml(title)}</h1>
+<div class="article-excerpt-display"><em>${escapeHtml(translate('tags.summary', { count: tags.length, articles: articles.length }))}</em></div>
+${getTagCloudComponent(tags)}`;
+    const tagsHead = getSeoTags({
+        siteTitle: SITE_TITLE,
+        title,
+        description: translate('tags.indexDescription', { count: tags.length, site: SITE_TITLE }),
+        url: getPageUrl('tags/index.html', language)
+    });
+    writePage(path.join(tagsDir, 'index.html'), getArticleTemplate(title, null, indexContent, 'tags/index', null, '', { head: tagsHead }));
+    log(`  Tags: ${tags.length} tag pages -> ${getLanguagePrefix(language)}tags/`);
+
+    // Summaries for the index page
+    return tags.map(tag => ({ name: tag.name, slug: tag.slug, count: tag.articles.length }));
+}
+
+// publicPath is relative to the language's tree
+function getPageUrl(publicPath, language = DEFAULT_LANGUAGE) {
+    return new URL(`${getLanguagePrefix(language)}${publicPath}`, SITE_URL).href;
+}
+
+function getArticleUrl(article) {
+    return getPageUrl(`articles/${encodeSlug(article.slug)}.html`, article.lang);
+}
+
+// The series' folder inside public/, which is how the service worker knows it
+function getSeriesPath(series) {
+    return `${getLanguagePrefix(series.lang)}articles/${series.folder}/`;
+}
+
+function getSeriesUrl(series) {
+    return getPageUrl(`articles/${encodeSlug(series.folder)}/index.html`, series.lang);
+}
+
+function getSeriesImage(series) {
+    if (!series.cover) return '';
+    return /^[a-z]+:/i.test(series.cover) ? series.cover : getPageUrl(`articles/${encodeSlug(series.folder)}/${series.cover}`, series.lang);
+}
+
+function getArticleSeoTags(article, navigation) {
+    const url = getArticleUrl(article);
+    const series = navigation && navigation.series;
+    const image = series ? getSeriesImage(series) : '';
+    const crumbs = [{ name: SITE_TITLE, url: getPageUrl('', article.lang) }];
+    if (series) crumbs.push({ name: series.title, url: getSeriesUrl(series) });
+    crumbs.push({ name: article.title, url });
+
+    const seoTags = getSeoTags({
+        siteTitle: SITE_TITLE,
+        title: article.title,
+        description: article.excerpt,
+        url,
+        type: 'article',
+        image,
+        jsonLd: [
+            getArticleJsonLd({
+                article,
+                url,
+                siteTitle: SITE_TITLE,
+                siteUrl: SITE_URL,
+                image,
+                stats: getArticleStats(article),
+                series: series ? { title: series.title, url: getSeriesUrl(series), part: navigation.part } : null
+            }),
+            getBreadcrumbJsonLd(crumbs)
+        ]
+    });
+    const alternates = getAlternateLinks(article.translations.map(translation => ({ lang: translation.lang, url: getArticleUrl(translation) })));
+    return [seoTags, getArticleTags(article), alternates].filter(Boolean).join('\n    ');
+}
+
+// Pages of unpublished articles only exist in draft builds, so neither the sitemap nor the feeds list them
+function getPublishedArticles(articles) {
+    return articles.filter(article => !article.status);
+}
+
+// A drafts build may have written pages for articles that are unpublished again; a normal build removes them
+function removeHeldBackPages(heldBack) {
+    for (const article of heldBack) {
+        const outputFile = getArticleOutputFile(article);
+        if (fs.existsSync(outputFile)) fs.unlinkSync(outputFile);
+    }
+}
+
+function getHeldBackSummary(heldBack) {
+    const included = INCLUDE_DRAFTS ? 'included as drafts' : 'held back';
+    return `${heldBack.length} unpublished article${heldBack.length === 1 ? '' : 's'} ${included}:\n` +
+        heldBack.map(article => `  ${getArticleId(article)} (${article.status === 'draft' ? 'draft' : `scheduled for ${article.publishAt}`})`).join('\n');
+}
+
+// The latest publish or update date among the articles, for sitemap lastmod values
+function getLastModified(articles) {
+    return articles.map(article => article.updated || article.date).reduce((latest, date) => !latest || new Date(date) > new Date(latest) ? date : latest, null);
+}
+
+// One sitemap for all languages; translated pages list each other as alternates
+function buildSitemap(articles) {
+    articles = getPublishedArticles(articles);
+    const languages = getLanguages(articles);
+    const homes = languages.map(language => ({ lang: language, url: getPageUrl('', language) }));
+    const pages = [];
+
+    for (const language of languages) {
+        const languageArticles = articles.filter(article => article.lang === language);
+        pages.push(
+            { url: getPageUrl('', language), lastmod: getLastModified(languageArticles), alternates: homes },
+            ...languageArticles.map(article => ({
+                url: getArticleUrl(article),
+                lastmod: article.updated || article.date,
+                alternates: getPublishedArticles(article.translations).map(translation => ({ lang: translation.lang, url: getArticleUrl(translation) }))
+            })),
+            ...getSeriesList(languageArticles).map(series => ({
+                url: getSeriesUrl(series),
+                lastmod: getLastModified(getPublishedArticles(series.articles)),
+                alternates: series.translations
+                    .filter(translation => getPublishedArticles(translation.articles).length)
+                    .map(translation => ({ lang: translation.lang, url: getSeriesUrl(translation) }))
+            })),
+            { url: getPageUrl('tags/index.html', language) },
+            ...collectTags(languageArticles).map(tag => ({ url: getPageUrl(`tags/${tag.slug}.html`, language), lastmod: getLastModified(tag.articles) }))
+        );
+    }
+
+    writeSitemap(PUBLIC_DIR, pages);
+    writeRobots(PUBLIC_DIR, SITE_URL);
+    log(`  Sitemap: ${pages.length} URLs -> sitemap.xml, robots.txt`);
+}
+
+function getFeedItem(article) {
+    return {
+        title: article.title,
+        url: getArticleUrl(article),
+        date: new Date(article.date),
+        ...(article.updated ? { updated: new Date(article.updated) } : {}),
+        author: article.author || SITE_AUTHOR,
+        summary: article.excerpt,
+        tags: article.tags,
+        // Permalink icons only make sense on the site itself, and feed readers cannot switch tabs
+        html: getArticleHtml(article)
+            .replace(/<a class="heading-anchor"[\s\S]*?<\/a>/g, '')
+            .replace(/(<div class="code-tabs-panel"[^>]*?) hidden>/g, '$1>')
+            .replace(/<form class="quiz"[\s\S]*?<\/form>/g, `<p><em><a href="${getArticleUrl(article)}">${escapeHtml(translate('article.takeQuiz'))}</a></em></p>`)
+    };
+}
+
+// Feeds for one language: site-wide ones at the top of its tree, one set per series next to its landing page
+// and one per tag
+function buildFeeds(articles, language) {
+    articles = getPublishedArticles(articles);
+    const items = new Map(articles.map(article => [article.slug, getFeedItem(article)]));
+    // Series keep their unpublished parts in draft builds; those have no feed item
+    const itemsFor = list => list.filter(article => items.has(article.slug)).map(article => items.get(article.slug));
+    const seriesList = getSeriesList(articles);
+    const tags = collectTags(articles);
+
+    const homeUrl = getPageUrl('', language);
+
+    writeFeeds(getLanguageDir(language), homeUrl, {
+        language,
+        title: SITE_TITLE,
+        description: SITE_DESCRIPTION,
+        homePageUrl: homeUrl,
+        author: SITE_AUTHOR,
+        items: itemsFor(articles)
+    });
+
+    for (const series of seriesList) {
+        const seriesUrl = getPageUrl(`articles/${encodeSlug(series.folder)}/`, language);
+        writeFeeds(getLanguageDir(language, 'articles', series.folder), seriesUrl, {
+            language,
+            title: `${series.title} - ${SITE_TITLE}`,
+            description: series.description || translate('series.feedDescription', { series: series.title }),
+            homePageUrl: new URL('index.html', seriesUrl).href,
+            author: SITE_AUTHOR,
+            // Newest part first, like the site feed
+            items: itemsFor([...series.articles].reverse())
+        });
+    }
+
+    for (const tag of tags) {
+        const tagUrl = getPageUrl(`tags/${tag.slug}/`, language);
+        writeFeeds(getLanguageDir(language, 'tags', tag.slug), tagUrl, {
+            language,
+            title: `#${tag.name} - ${SITE_TITLE}`,
+            description: translate('tags.feedDescription', { tag: tag.name }),
+            homePageUrl: getPageUrl(`tags/${tag.slug}.html`, language),
+            author: SITE_AUTHOR,
+            items: itemsFor(tag.articles)
+        });
+    }
+
+    log(`  Feeds: site, ${seriesList.length} series, ${tags.length} tags (RSS, Atom, JSON Feed)`);
+}
+
+function buildSearch(articles, language) {
+    const index = buildSearchIndex(articles.map(article => ({
+        slug: article.slug,
+        title: article.title,
+        html: getArticleHtml(article)
+    })));
+    const size = writeSearchIndex(getLanguageDir(language), index);
+    log(`  Search: ${Object.keys(index.terms).length} terms in ${index.sections.length} sections -> search-index.js (${Math.round(size / 1024)} KB)`);
+}
+
+// Renders layouts/index.html and replaces each `const <name> = [...]` placeholder in it with the build data.
+// Every language has a home page; `languages` are all of them, for the hreflang links.
+function writeIndexPage(data, language, languages) {
+    let html = templates.render('index', {
+        ...getSiteData(),
+        ...getAssetData(getRootPath(language)),
+        title: SITE_TITLE,
+        homeUrl: 'index.html',
+        feedLinks: getFeedLinks(SITE_TITLE),
+        head: [
+            getSeoTags({
+                siteTitle: SITE_TITLE,
+                title: SITE_TITLE,
+                description: SITE_DESCRIPTION,
+                url: getPageUrl('', language)
+            }),
+            getAlternateLinks(languages.map(other => ({ lang: other, url: getPageUrl('', other) })))
+        ].filter(Boolean).join('\n    ')
+    });
+
+    for (const [name, value] of Object.entries(data)) {
+        const json = toInlineJson(value);
+        html = html.replace(new RegExp(`const ${name} = \\[[\\s\\S]*?\\];`), () => `const ${name} = ${json};`);
+    }
+
+    writePage(getLanguageDir(language, 'index.html'), html);
+}
+
+// Offline reading: the page the service worker shows for pages it has no copy of, one per language
+function writeOfflinePage(language) {
+    const html = templates.render('offline', {
+        ...getSiteData(),
+        ...getAssetData(getRootPath(language)),
+        title: `${translate('offline.title')} - ${SITE_TITLE}`,
+        homeUrl: 'index.html',
+        feedLinks: '',
+        head: '<meta name="robots" content="noindex">'
+    });
+    writePage(getLanguageDir(language, 'offline.html'), html);
+}
+
+// public/sw.js from layouts/partials/sw.js. It precaches the home and offline pages, the shared assets and the
+// search indexes, and knows every series' pages and images for "Save series for offline". Revisions are hashes
+// of the files as written, so this runs after the pages are final.
+async function writeServiceWorker(articles, languages) {
+    const precache = getCacheEntries(PUBLIC_DIR, [
+        ...languages.flatMap(language => ['index.html', 'offline.html', 'search-index.js'].map(name => getLanguageDir(language, name))),
+        ...[siteAssets.css, siteAssets.js, siteAssets.manifest, ...siteAssets.icons].map(file => path.join(PUBLIC_DIR, file))
+    ]);
+
+    const series = {};
+    for (const entry of getSeriesList(articles)) {
+        const pages = [
+            getLanguageDir(entry.lang, 'articles', entry.folder, 'index.html'),
+            ...entry.articles.map(getArticleOutputFile),
+            // Written by `npm run export`; the next build adds it
+            getLanguageDir(entry.lang, 'articles', entry.folder, 'print.html')
+        ].filter(file => fs.existsSync(file));
+        series[getSeriesPath(entry)] = {
+            title: entry.title,
+            files: getCacheEntries(PUBLIC_DIR, [...pages, ...pages.flatMap(page => getPageImages(PUBLIC_DIR, page))])
+        };
+    }
+
+    const offlinePages = Object.fromEntries(languages.map(language => [getLanguagePrefix(language), `${getLanguagePrefix(language)}offline.html`]));
+    let script = templates.renderPartial('sw.js', {
+        precache: JSON.stringify(precache, null, 4),
+        series: JSON.stringify(series, null, 4),
+        offlinePages: JSON.stringify(offlinePages, null, 4)
+    });
+    if (PRODUCTION) script = await minifyScript(script);
+    fs.writeFileSync(path.join(PUBLIC_DIR, 'sw.js'), script);
+    log(`  Offline: sw.js precaches ${precache.length} files, ${Object.keys(series).length} series can be saved`);
+}
+
+// Books: a whole series as an EPUB and as one print-ready page, written next to the series' landing page
+// by `npm run export` (every series) or `npm run export -- <folder>...`.
+
+// The rendered body without what needs the site's script: permalinks and copy buttons go, every tab is shown
+// under its label, collapsibles are open and quizzes link to the article on the site
+function getBookHtml(article) {
+    const html = getArticleHtml(article);
+    const tabLabels = new Map([...html.matchAll(/<button type="button" role="tab" id="([^"]+)"[^>]*>([\s\S]*?)<\/button>/g)]
+        .map(match => [match[1], match[2]]));
+    return html
+        .replace(/<a class="heading-anchor"[\s\S]*?<\/a>/g, '')
+        .replace(/<button type="button" class="copy-button"[\s\S]*?<\/button>/g, '')
+        .replace(/<div class="code-tabs-list" role="tablist">[\s\S]*?<\/div>\n?/g, '')
+        .replace(/<div class="code-tabs-panel"[^>]*? aria-labelledby="([^"]+)"[^>]*>/g, (match, tab) =>
+            `<div class="code-tabs-panel">\n<p class="code-tabs-label">${tabLabels.get(tab) || ''}</p>`)
+        .replace(/<details class="(collapsible[^"]*)">/g, '<details class="$1" open>')
+        .replace(/<form class="quiz"[\s\S]*?<\/form>/g, `<p><em><a href="${getArticleUrl(article)}">${escapeHtml(translate('article.takeQuiz'))}</a></em></p>`);
+}
+
+// One chapter per part, in series order: { article, id, title, html, sections } where id is the part's file name
+// and sections are its h2 headings
+function getBookChapters(series) {
+    return series.articles.map((article, i) => {
+        const stats = getArticleStats(article);
+        const meta = [
+            formatDate(article.date),
+            ...(article.updated ? [translate('article.updatedOn', { date: formatDate(article.updated) })] : []),
+            formatReadingTime(stats)
+        ];
+        const html = `<header class="chapter-header">
+<p class="chapter-part">${escapeHtml(translate('series.part', { part: i + 1, total: series.articles.length }))}</p>
+<h1>${escapeHtml(article.title)}</h1>
+<p class="chapter-meta">${meta.map(escapeHtml).join(' &middot; ')}</p>
+</header>
+${getBookHtml(article)}`;
+        const sections = [...html.matchAll(/<h2 id="([^"]+)">([\s\S]*?)<\/h2>/g)].map(match => ({ id: match[1], title: stripHtml(match[2]) }));
+        return { article, id: article.baseName, title: article.title, html, sections };
+    });
+}
+
+// Links between parts are written as "02-next-part.html", with or without "./" and an anchor
+function getChapterLink(href, chapters) {
+    const match = href.match(/^(?:\.\/)?([^/?#]+)\.html(?:#(.*))?$/);
+    const chapter = match && chapters.find(entry => encodeURIComponent(entry.id) === match[1]);
+    return chapter ? { chapter, anchor: match[2] || '' } : null;
+}
+
+// On the print page every part shares one document, so ids get the chapter id as a prefix
+// and links between parts become links within the page
+function getPrintChapterHtml(chapter, chapters) {
+    const prefix = id => `${chapter.id}-${id}`;
+    return chapter.html
+        .replace(/\s(id|aria-labelledby|aria-controls)="([^"]+)"/g, (match, attribute, value) => ` ${attribute}="${prefix(value)}"`)
+        .replace(/\shref="([^"]*)"/g, (match, href) => {
+            if (href.startsWith('#')) return ` href="#${prefix(href.slice(1))}"`;
+            const link = getChapterLink(href, chapters);
+            if (!link) return match;
+            return ` href="#${link.anchor ? `${link.chapter.id}-${link.anchor}` : link.chapter.id}"`;
+        });
+}
+
+function getPrintPage(series, chapters, css) {
+    return templates.render('print', {
+        ...getSiteData(),
+        title: `${series.title} - ${SITE_TITLE}`,
+        canonical: getSeriesUrl(series),
+        css,
+        book: {
+            title: series.title,
+            description: series.description,
+            intro: series.intro ? markdownParser.parse(series.intro) : ''
+        },
+        chapters: chapters.map(chapter => ({
+            id: chapter.id,
+            title: chapter.title,
+            html: getPrintChapterHtml(chapter, chapters),
+            sections: chapter.sections.map(section => ({ id: `${chapter.id}-${section.id}`, title: section.title }))
+        }))
+    });
+}
+
+// Chapter HTML inside the EPUB: local images are embedded (images maps their files to names in the book),
+// images from elsewhere become links since a book has to carry its own, and links between parts point
+// at the chapter files. Everything else relative resolves against the article's URL on the site.
+function getEpubChapterHtml(chapter, chapters, images) {
+    const articleDir = path.dirname(getArticleOutputFile(chapter.article));
+    const chapterFile = entry => `chapter-${String(chapters.indexOf(entry) + 1).padStart(2, '0')}.xhtml`;
+    return chapter.html
+        .replace(/<img\b[^>]*>/g, tag => {
+            const src = (tag.match(/\ssrc="([^"]*)"/) || [])[1] || '';
+            const alt = (tag.match(/\salt="([^"]*)"/) || [])[1] || '';
+            if (/^([a-z][a-z0-9+.-]*:|\/\/)/i.test(src)) return src.startsWith('data:') ? tag : `<a href="${src}">${alt || src}</a>`;
+
+            let file = path.join(articleDir, src.split(/[?#]/)[0]);
+            try {
+                file = decodeURIComponent(file);
+            } catch (error) {
+                // Keep the path as written
+            }
+            if (!fs.existsSync(file)) return alt;
+            if (!images.has(file)) images.set(file, `images/${path.basename(file)}`);
+            return tag
+                .replace(/\s(srcset|sizes|loading|decoding)="[^"]*"/g, '')
+                .replace(/\ssrc="[^"]*"/, ` src="${escapeHtml(images.get(file))}"`);
+        })
+        .replace(/\shref="([^"]*)"/g, (match, href) => {
+            if (href.startsWith('#') || /^([a-z][a-z0-9+.-]*:|\/\/)/i.test(href)) return match;
+            const link = getChapterLink(href, chapters);
+            if (link) return ` href="${chapterFile(link.chapter)}${link.anchor ? `#${link.anchor}` : ''}"`;
+            return ` href="${escapeHtml(new URL(href, getArticleUrl(chapter.article)).href)}"`;
+        });
+}
+
+function getEpubBook(series, chapters, css) {
+    const images = new Map();
+    const epubChapters = chapters.map((chapter, i) => ({
+        file: `chapter-${String(i + 1).padStart(2, '0')}.xhtml`,
+        title: chapter.title,
+        html: getEpubChapterHtml(chapter, chapters, images),
+        sections: chapter.sections
+    }));
+
+    const coverSource = series.cover && !/^[a-z]+:/i.test(series.cover) ? path.join(ARTICLES_DIR, series.folder, series.cover) : '';
+    const published = series.articles.map(article => article.date).sort().pop();
+    return {
+        id: getSeriesUrl(series),
+        title: series.title,
+        language: series.lang,
+        authors: [...new Set(series.articles.map(article => article.author || SITE_AUTHOR))],
+        publisher: SITE_TITLE,
+        description: series.description,
+        intro: series.intro ? markdownParser.parse(series.intro) : '',
+        date: published,
+        modified: new Date(getLastModified(series.articles)),
+        subjects: [...new Set(series.articles.flatMap(article => article.tags))],
+        css,
+        strings: { contents: translate('book.contents') },
+        cover: coverSource && fs.existsSync(coverSource) ? { source: coverSource, name: `images/${path.basename(coverSource)}` } : null,
+        chapters: epubChapters,
+        images: [...images].map(([source, name]) => ({ source, name }))
+    };
+}
+
+async function exportSeries(series) {
+    useLocale(series.lang);
+    const outputDir = getLanguageDir(series.lang, 'articles', series.folder);
+
+    // The same diagrams and images the article pages use, so the book works without a full build
+    for (const article of series.articles) {
+        getArticleHtml(article);
+        await renderArticleDiagrams(article, path.dirname(getArticleOutputFile(article)), markdownParser.lexer(article.content));
+        await copyAssets(article.assets, getLanguageDir(series.lang, 'articles'));
+    }
+
+    const chapters = getBookChapters(series);
+    const css = templates.renderPartial('book.css', getSiteData());
+    writePage(path.join(outputDir, 'print.html'), getPrintPage(series, chapters, css));
+
+    const name = `${path.basename(series.folder)}.epub`;
+    const images = writeEpub(path.join(outputDir, name), getEpubBook(series, chapters, css));
+    const imageInfo = images ? ` [${images} images]` : '';
+    log(`  ${series.title} (${chapters.length} parts)${imageInfo} -> ${getLanguagePrefix(series.lang)}${series.folder}/${name}, print.html`);
+    return { folder: series.folder, lang: series.lang, epub: path.join(outputDir, name), print: path.join(outputDir, 'print.html') };
+}
+
+// `folders` are series folders to export, every series when empty. Resolves to { ok, problems, error, books }
+// where books are { folder, lang, epub, print } with the files written.
+async function exportBooks(folders = [], options = {}) {
+    try {
+        configure(options);
+    } catch (error) {
+        return { ok: false, problems: [], error, books: [] };
+    }
+    const problems = checkContent();
+    if (problems.length) return { ok: false, problems, books: [] };
+
+    const { articles } = loadArticles();
+    const seriesList = getSeriesList(articles);
+    const unknown = folders.filter(folder => !seriesList.some(series => series.folder === folder));
+    if (unknown.length) {
+        const known = [...new Set(seriesList.map(series => series.folder))].sort().join(', ');
+        return { ok: false, problems: [], error: new Error(`No series in ${unknown.map(folder => `articles/${folder}/`).join(', ')}. Series: ${known}`), books: [] };
+    }
+
+    log('Exporting books...');
+    const books = [];
+    try {
+        for (const series of seriesList.filter(entry => !folders.length || folders.includes(entry.folder))) {
+            books.push(await exportSeries(series));
         }
-        
-        contentWithHeader += article.content.replace(/^#\s+.*$/m, '').trim();
-        const htmlContent = marked(contentWithHeader);
-        
-        // Determine navigation - Simple chronological navigation
-        let navigation = null;
-        
-        // Find current article's position in chronological sequence
-        const globalIndex = articles.findIndex(a => a.slug === article.slug);
-        
-        let prev = null;
-        let next = null;
-        
-        // Previous navigation: previous article in reverse chronological order (newer article)
-        if (globalIndex > 0) {
-            prev = articles[globalIndex - 1];
-        } else {
-            // First article in reverse chronological (newest) - no previous navigation
-            prev = null;
+    } catch (error) {
+        return { ok: false, problems: [], error, books };
+    }
+    return { ok: true, problems: [], books };
+}
+
+// Every front matter and cross-article problem, as "<file>: <message>" lines
+function checkContent() {
+    const problems = [];
+    const articles = [];
+
+    for (const file of getMarkdownFiles()) {
+        const displayPath = path.join('articles', file);
+        let article;
+        try {
+            article = parseArticle(file);
+        } catch (error) {
+            problems.push(`${displayPath}: invalid front matter: ${error.reason || error.message}`);
+            continue;
         }
-        
-        // Next navigation: next article in reverse chronological order (older article)
-        if (globalIndex < articles.length - 1) {
-            next = articles[globalIndex + 1];
-        } else {
-            // Last article in reverse chronological (oldest) - link back to newest article for continuous learning
-            next = articles[0]; // First article is now the newest due to reverse sort
+
+        problems.push(...validateFrontMatter(article.frontMatter, ARTICLE_SCHEMA).map(problem => `${displayPath}: ${problem}`));
+        if (typeof article.frontMatter.layout === 'string' && !templates.exists(article.layout)) {
+            problems.push(`${displayPath}: layout "${article.layout}" not found (expected layouts/${article.layout}.html)`);
         }
-        
-        navigation = { prev, next };
-        
-        // Calculate relative path to index.html
-        const relativePath = article.folder ? '../' : '';
-        const html = getArticleTemplate(article.title, article.date, htmlContent, article.slug, navigation, relativePath);
-        
-        const outputFile = path.join(outputDir, `${article.baseName}.html`);
-        fs.writeFileSync(outputFile, html);
-        console.log(`  ${article.title} (${article.date}) -> ${article.slug}`);
+        if (article.fileLanguage && article.frontMatter.lang && article.frontMatter.lang !== article.fileLanguage) {
+            problems.push(`${displayPath}: "lang" is "${article.frontMatter.lang}" but the file name says "${article.fileLanguage}"`);
+        }
+        if (!hasLocale(article.lang)) {
+            problems.push(`${displayPath}: no UI strings for language "${article.lang}" (expected locales/${article.lang}.json)`);
+        }
+        problems.push(...getQuizProblems(markdownParser.lexer(article.content), article.source)
+            .map(problem => `${displayPath}${problem.line ? `:${problem.line}` : ''}: ${problem.message}`));
+        articles.push({
+            file: displayPath,
+            folder: article.folder,
+            baseName: article.baseName,
+            slug: article.slug,
+            lang: article.lang,
+            order: /^\d+-/.test(article.baseName) ? article.order : null
+        });
     }
-    
-    // Return articles without content for index page
-    return articles.map(({ title, slug, date, excerpt, folder, tags }) => ({ title, slug, date, excerpt, folder, tags }));
+
+    for (const folder of new Set(articles.map(article => article.folder).filter(Boolean))) {
+        const seriesFiles = fs.readdirSync(path.join(ARTICLES_DIR, folder)).filter(isSeriesFile);
+        for (const file of seriesFiles) {
+            const displayPath = path.join('articles', folder, file);
+            try {
+                const { data } = matter(fs.readFileSync(path.join(ARTICLES_DIR, folder, file), 'utf-8'));
+                problems.push(...validateFrontMatter(data, SERIES_SCHEMA).map(problem => `${displayPath}: ${problem}`));
+            } catch (error) {
+                problems.push(`${displayPath}: invalid front matter: ${error.reason || error.message}`);
+            }
+        }
+    }
+
+    problems.push(...findDuplicates(articles));
+
+    // Links are only worth checking once every article parses
+    if (!problems.length) problems.push(...getLinkReport().problems);
+    return problems;
+}
+
+// Broken links to articles, headings and local files in everything this build publishes, plus external URLs
+function getLinkReport() {
+    const { articles, heldBack } = loadArticles();
+    return checkLinks(articles.map(article => ({
+        filename: article.filename,
+        folder: article.folder,
+        html: getArticleHtml(article),
+        links: article.links
+    })), {
+        articlesDir: ARTICLES_DIR,
+        seriesFolders: getSeriesList(articles).map(series => series.folder),
+        unpublished: heldBack.filter(article => !articles.includes(article)).map(article => article.filename)
+    });
+}
+
+function formatProblems(problems) {
+    return `${problems.length} content problem${problems.length === 1 ? '' : 's'}:\n${problems.map(problem => `  ${problem}`).join('\n')}`;
 }
 
-function updateIndex(articles) {
-    const indexPath = path.join(PUBLIC_DIR, 'index.html');
-    const indexContent = fs.readFileSync(indexPath, 'utf-8');
-    const articlesJson = JSON.stringify(articles, null, 2);
-    const updatedContent = indexContent.replace(/const articles = \[[\s\S]*?\];/, `const articles = ${articlesJson};`);
-    fs.writeFileSync(indexPath, updatedContent);
+// { ok, problems, external }: external lists { file, urls } per article when `options.external` is set;
+// those URLs are for a manual look and never fetched
+function check(options = {}) {
+    configure(options);
+    const problems = checkContent();
+    return { ok: !problems.length, problems, external: options.external ? getLinkReport().external : [] };
 }
 
-function setupIndexPage() {
-    const templatePath = path.join(__dirname, 'index.html');
-    if (fs.existsSync(templatePath)) {
-        fs.writeFileSync(path.join(PUBLIC_DIR, 'index.html'), fs.readFileSync(templatePath, 'utf-8'));
+// Every page of one language: its articles (all of them, or the ids in `only`), series and tag pages,
+// feeds, search index and home page. Returns the home page data.
+async function buildLanguage(allArticles, language, languages, only = null) {
+    useLocale(language);
+    const articles = allArticles.filter(article => article.lang === language);
+    if (languages.length > 1) log(`\n${getLocale(language).name} (${language}):`);
+
+    const data = {
+        articles: await buildArticles(articles, only),
+        series: buildSeriesPages(articles),
+        tags: buildTagPages(articles, language)
+    };
+    buildFeeds(articles, language);
+    buildSearch(articles, language);
+    writeIndexPage(data, language, languages);
+    if (OFFLINE) writeOfflinePage(language);
+    return data;
+}
+
+// Builds the whole site. Resolves to { ok, problems, error } plus, when it worked, { articles, series, tags, languages,
+// heldBack, outputDir } with the counts of pages written and the ids of drafts and scheduled articles left out.
+async function build(options = {}) {
+    try {
+        configure(options);
+    } catch (error) {
+        return { ok: false, problems: [], error };
+    }
+    log('Kent C. Dodds-style blog build...\n');
+
+    // Content errors fail the build before anything is written
+    const problems = checkContent();
+    if (problems.length) return { ok: false, problems };
+
+    try {
+        fs.mkdirSync(PUBLIC_DIR, { recursive: true });
+        await buildSiteAssets();
+        const { articles: allArticles, heldBack } = loadArticles();
+        if (!INCLUDE_DRAFTS) removeHeldBackPages(heldBack);
+        const languages = getLanguages(allArticles);
+        const totals = { articles: 0, series: 0, tags: 0 };
+        for (const language of languages) {
+            const data = await buildLanguage(allArticles, language, languages);
+            Object.keys(totals).forEach(key => { totals[key] += data[key].length; });
+        }
+        buildSitemap(allArticles);
+        await optimizePages();
+        if (OFFLINE) await writeServiceWorker(allArticles, languages);
+        log(`\nBuild complete${PRODUCTION ? ' (production)' : ''}!`);
+        const languageInfo = languages.length > 1 ? ` in ${languages.length} languages` : '';
+        log(`${totals.articles} articles in ${totals.series} series, ${totals.tags} tags${languageInfo} (sorted newest first)`);
+        if (heldBack.length) log(getHeldBackSummary(heldBack));
+        log(`Open ${path.relative(process.cwd(), path.join(PUBLIC_DIR, 'index.html'))}`);
+        return { ok: true, problems: [], ...totals, languages, heldBack: heldBack.map(getArticleId), outputDir: PUBLIC_DIR };
+    } catch (error) {
+        return { ok: false, problems: [], error };
+    }
+}
+
+// Everything an article page shows about other articles: prev/next links, its series outline and its translations
+function getNavigationKey(article) {
+    const navigation = getArticleNavigation(article);
+    const links = ['prev', 'next']
+        .map(direction => navigation[direction] ? `${navigation[direction].slug}|${navigation[direction].title}` : '');
+    const outline = navigation.series ?
+        [navigation.series.title, navigation.part, ...navigation.series.articles.map(article => `${article.slug}|${article.title}`)] :
+        [];
+    return [...links, ...outline, article.translations.map(getArticleId).join(' ')].join('\n');
+}
+
+// Dotfiles and the scratch files editors and tools write next to the real one: vim's swap files and its 4913
+// write test, backups ending in ~, emacs' #lock# files and sed -i's sedXXXXXX
+function isTemporaryFile(filename) {
+    const name = path.basename(filename);
+    return name.startsWith('.') || name.endsWith('~') || /^\d+$|^#.*#$|^sed[A-Za-z0-9]{6}$|\.(swp|swo|swx|tmp)$/i.test(name);
+}
+
+// Builds with drafts, serves the output with live reload and rebuilds on every change.
+// Resolves to { url, port, close() } once the server listens; close() stops watching and serving.
+async function serve(options = {}) {
+    configure({ drafts: true, ...options });
+    fs.mkdirSync(PUBLIC_DIR, { recursive: true });
+    const port = options.port !== undefined ? options.port : parseInt(process.env.PORT, 10) || 3000;
+    const server = createDevServer({ root: PUBLIC_DIR, port });
+    const watchers = [];
+    let navigationKeys = new Map();
+    let outputFiles = new Map();
+    let pendingFiles = new Set();
+    let fullRebuild = true;
+    let building = false;
+    let timer = null;
+
+    // Rebuilds changed articles plus any article whose prev/next links moved, then the index
+    async function rebuild() {
+        if (building) return;
+        building = true;
+        const changedFiles = pendingFiles;
+        const rebuildAll = fullRebuild;
+        pendingFiles = new Set();
+        fullRebuild = false;
+
+        try {
+            const problems = checkContent();
+            if (problems.length) throw new Error(formatProblems(problems));
+
+            const { articles, heldBack } = loadArticles();
+            if (!INCLUDE_DRAFTS) removeHeldBackPages(heldBack);
+            const keys = new Map(articles.map(article => [getArticleId(article), getNavigationKey(article)]));
+            const showsChangedAsset = article => {
+                // Rendering tells which co-located files an article shows
+                getArticleHtml(article);
+                return article.assets.some(asset => changedFiles.has(path.relative(ARTICLES_DIR, asset.source)));
+            };
+            const stale = new Set(articles
+                .filter(article => rebuildAll ||
+                    changedFiles.has(article.filename) ||
+                    showsChangedAsset(article) ||
+                    navigationKeys.get(getArticleId(article)) !== keys.get(getArticleId(article)))
+                .map(getArticleId));
+
+            for (const [id, outputFile] of outputFiles) {
+                if (keys.has(id)) continue;
+                if (fs.existsSync(outputFile)) fs.unlinkSync(outputFile);
+                log(`  Removed ${id}`);
+            }
+
+            if (rebuildAll) await buildSiteAssets();
+            const languages = getLanguages(articles);
+            for (const language of languages) {
+                await buildLanguage(articles, language, languages, stale);
+            }
+            buildSitemap(articles);
+            if (OFFLINE) await writeServiceWorker(articles, languages);
+            writtenPages = [];
+            navigationKeys = keys;
+            outputFiles = new Map(articles.map(article => [getArticleId(article), getArticleOutputFile(article)]));
+            log(`Rebuilt ${stale.size} of ${articles.length} articles`);
+            if (rebuildAll && heldBack.length) log(getHeldBackSummary(heldBack));
+            server.reload();
+        } catch (error) {
+            // Keep the failed changes so the next save retries them
+            changedFiles.forEach(file => pendingFiles.add(file));
+            fullRebuild = fullRebuild || rebuildAll;
+            console.error('Build failed:', error.message);
+            server.showError(error);
+            return;
+        } finally {
+            building = false;
+        }
+
+        if (fullRebuild || pendingFiles.size) scheduleRebuild();
+    }
+
+    function scheduleRebuild() {
+        clearTimeout(timer);
+        timer = setTimeout(rebuild, 100);
+    }
+
+    await rebuild();
+
+    // A changed article is rebuilt, and so is every article that shows a changed asset (its hashed name changes)
+    watchers.push(fs.watch(ARTICLES_DIR, { recursive: true }, (event, filename) => {
+        if (!filename || isTemporaryFile(filename)) return;
+        pendingFiles.add(filename);
+        scheduleRebuild();
+    }));
+    watchers.push(fs.watch(LAYOUTS_DIR, { recursive: true }, (event, filename) => {
+        if (filename && isTemporaryFile(filename)) return;
+        // Every page uses the layouts
+        fullRebuild = true;
+        scheduleRebuild();
+    }));
+    if (fs.existsSync(LOCALES_DIR)) {
+        watchers.push(fs.watch(LOCALES_DIR, (event, filename) => {
+            if (filename && isTemporaryFile(filename)) return;
+            // ...and the UI strings
+            fullRebuild = true;
+            scheduleRebuild();
+        }));
+    }
+
+    const actualPort = await server.listen();
+    const url = `http://localhost:${actualPort}`;
+    log(`\nServing ${path.relative(process.cwd(), PUBLIC_DIR) || '.'}/ at ${url}`);
+    log('Watching articles, layouts and locales for changes...');
+    return {
+        url,
+        port: actualPort,
+        close() {
+            watchers.forEach(watcher => watcher.close());
+            clearTimeout(timer);
+            server.close();
+        }
+    };
+}
+
+function isInsideFolder(folder, file) {
+    const relative = path.relative(folder, file);
+    return !relative || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+// Why the output folder must not be deleted, or null. It has to be a folder of its own that a build wrote
+// (every build writes index.html), so `--public .` or `--public articles` cannot take the site with it.
+function getCleanRefusal() {
+    const name = path.relative(process.cwd(), PUBLIC_DIR) || '.';
+    const sources = [ROOT_DIR, process.cwd(), ARTICLES_DIR, LAYOUTS_DIR, LOCALES_DIR];
+    if (path.parse(PUBLIC_DIR).root === PUBLIC_DIR || sources.some(folder => isInsideFolder(PUBLIC_DIR, folder))) {
+        return `Refusing to delete ${name}: it holds the site's sources`;
     }
+    if (!fs.existsSync(PUBLIC_DIR)) return null;
+    if (!fs.statSync(PUBLIC_DIR).isDirectory() || (fs.readdirSync(PUBLIC_DIR).length && !fs.existsSync(path.join(PUBLIC_DIR, 'index.html')))) {
+        return `Refusing to delete ${name}: it is not build output (no index.html)`;
+    }
+    return null;
 }
 
-async function build() {
-    console.log('Kent C. Dodds-style blog build...\n');
+// Deletes the build output; with `options.cache` also the rendered diagram cache.
+// Returns { ok, removed } or { ok: false, error } when the output folder does not look like one.
+function clean(options = {}) {
     try {
-        setupIndexPage();
-        const articles = await buildArticles();
-        updateIndex(articles);
-        console.log('\nBuild complete!');
-        console.log(`${articles.length} articles (sorted newest first)`);
-        console.log('Open public/index.html');
+        configure(options);
     } catch (error) {
-        console.error('Build failed:', error);
-        process.exit(1);
+        return { ok: false, error };
     }
+    const refusal = getCleanRefusal();
+    if (refusal) return { ok: false, error: new Error(refusal) };
+    fs.rmSync(PUBLIC_DIR, { recursive: true, force: true });
+    if (options.cache) clearDiagramCache();
+    return { ok: true, removed: PUBLIC_DIR };
 }
 
-build();
+// The next free numeric prefix in a series folder: 1 + the highest one, padded like the existing files (at least 2 digits)
+function getNextPrefix(dir) {
+    const names = fs.existsSync(dir) ? fs.readdirSync(dir).filter(name => /^\d+-.*\.md$/.test(name)) : [];
+    const prefixes = names.map(name => name.match(/^(\d+)-/)[1]);
+    const next = prefixes.reduce((max, prefix) => Math.max(max, parseInt(prefix, 10)), 0) + 1;
+    const width = prefixes.reduce((max, prefix) => Math.max(max, prefix.length), 2);
+    return String(next).padStart(width, '0');
+}
+
+// Scaffolds articles/<series>/<NN>-<slug>.md as a draft with front matter; the series folder is created when new.
+// Returns { ok, file } or { ok: false, error }.
+function createArticle(series, title, options = {}) {
+    try {
+        configure(options);
+    } catch (error) {
+        return { ok: false, error };
+    }
+    const folder = String(series || '').replace(/\\/g, '/').replace(/^\/+|\/+$/g, '');
+    if (!folder || folder.split('/').some(part => part === '..' || part === '.')) {
+        return { ok: false, error: new Error(`"${series}" is not a series folder inside ${path.relative(process.cwd(), ARTICLES_DIR) || '.'}`) };
+    }
+    if (!title || !String(title).trim() || !slugify(String(title))) {
+        return { ok: false, error: new Error('The new article needs a title') };
+    }
+
+    const dir = path.join(ARTICLES_DIR, folder);
+    const today = new Date().toISOString().split('T')[0];
+    const content = `---
+title: ${JSON.stringify(String(title).trim())}
+date: ${today}
+tags: []
+draft: true
+---
+
+# ${String(title).trim()}
+
+`;
+    // A series path that is a file, or a name taken in the meantime, fails here rather than overwriting anything
+    let file;
+    try {
+        fs.mkdirSync(dir, { recursive: true });
+        file = path.join(dir, `${getNextPrefix(dir)}-${slugify(String(title))}.md`);
+        fs.writeFileSync(file, content, { flag: 'wx' });
+    } catch (error) {
+        return { ok: false, error };
+    }
+    log(`Created ${path.relative(process.cwd(), file)}`);
+    return { ok: true, file };
+}
+
+// An article as the build sees it; `file` is a path to a Markdown file, absolute or inside the articles folder
+function parse(file, options = {}) {
+    configure(options);
+    const filepath = path.resolve(ARTICLES_DIR, file);
+    return parseArticle(path.relative(ARTICLES_DIR, filepath));
+}
+
+// The HTML body of a parsed article, or of a Markdown string rendered as if it sat in `options.folder`
+function render(input, options = {}) {
+    if (!templates) configure(options);
+    if (typeof input === 'string') return renderMarkdown(input, options.folder, options.lang).html;
+    return getArticleHtml(input);
+}
+
+configure();
+
+module.exports = {
+    build,
+    check,
+    serve,
+    clean,
+    exportBooks,
+    createArticle,
+    parse,
+    render,
+    configure,
+    formatProblems,
+    loadArticles,
+    parseArticle,
+    buildArticles,
+    getArticleHtml
+};
+
+if (require.main === module) {
+    require('./cli').run(process.argv.slice(2));
+}
@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+const { parseArgs } = require('util');
+const { build, check, serve, clean, exportBooks, createArticle, formatProblems } = require('./build');
+
+const USAGE = `Usage: node cli.js [command] [options]
+
+Commands:
+  build                      Build the site into public/ (the default)
+  serve                      Build with drafts, serve public/ and rebuild on changes
+  check                      Check front matter, links and quizzes without building
+  clean                      Delete public/
+  export [series...]         Write EPUB books and print pages for the given series folders, or all of them
+  new <series> "<title>"     Start a draft article with the next number in articles/<series>/
+
+Options:
+  --drafts                   Include drafts and scheduled articles (serve always does, unless --no-drafts)
+  --production               Minify pages, stylesheets and scripts
+  --external                 check: list the external URLs of every article
+  --cache                    clean: also delete the rendered diagram cache
+  --port <port>              serve: port to listen on (default: PORT or 3000)
+  --articles <dir>           Content folder (default: articles/)
+  --public <dir>             Output folder (default: public/)
+  --layouts <dir>            Layouts folder (default: layouts/)
+  --locales <dir>            UI strings folder (default: locales/)
+  --config <file>            Site config (default: site.config.js)
+  --quiet                    No progress messages
+  -h, --help                 Show this help`;
+
+const OPTIONS = {
+    drafts: { type: 'boolean' },
+    'no-drafts': { type: 'boolean' },
+    production: { type: 'boolean' },
+    external: { type: 'boolean' },
+    cache: { type: 'boolean' },
+    port: { type: 'string' },
+    articles: { type: 'string' },
+    public: { type: 'string' },
+    layouts: { type: 'string' },
+    locales: { type: 'string' },
+    config: { type: 'string' },
+    quiet: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+// Flags shared by every command, in the shape build.js's configure() takes
+function getBuildOptions(values) {
+    const options = {
+        articlesDir: values.articles,
+        publicDir: values.public,
+        layoutsDir: values.layouts,
+        localesDir: values.locales,
+        config: values.config,
+        quiet: values.quiet
+    };
+    if (values.drafts) options.drafts = true;
+    if (values['no-drafts']) options.drafts = false;
+    if (values.production) options.production = true;
+    return options;
+}
+
+// Problems and errors go to stderr and fail the command
+function report(result, label) {
+    if (result.ok) return;
+    if (result.problems && result.problems.length) console.error(formatProblems(result.problems));
+    if (result.error) console.error(`${label}:`, result.error.message);
+    process.exitCode = 1;
+}
+
+function printExternal(external) {
+    const count = external.reduce((total, entry) => total + entry.urls.length, 0);
+    console.log(`\n${count} external URL${count === 1 ? '' : 's'} in ${external.length} article${external.length === 1 ? '' : 's'}:`);
+    for (const entry of external) {
+        console.log(`\n${entry.file}`);
+        entry.urls.forEach(url => console.log(`  ${url}`));
+    }
+}
+
+const COMMANDS = {
+    async build(args, options) {
+        report(await build(options), 'Build failed');
+    },
+    async serve(args, options, values) {
+        const port = values.port === undefined ? undefined : parseInt(values.port, 10);
+        if (port !== undefined && !(port >= 0 && port < 65536)) throw new Error(`--port must be a port number, not "${values.port}"`);
+        await serve({ ...options, port });
+    },
+    check(args, options, values) {
+        const result = check({ ...options, external: values.external });
+        report(result, 'Check failed');
+        if (!result.ok) return;
+        console.log('Content check passed');
+        // External URLs are listed for a manual look, never fetched
+        if (values.external) printExternal(result.external);
+    },
+    clean(args, options, values) {
+        const result = clean({ ...options, cache: values.cache });
+        report(result, 'Clean failed');
+        if (result.ok && !values.quiet) console.log(`Removed ${result.removed}${values.cache ? ' and the diagram cache' : ''}`);
+    },
+    async export(args, options) {
+        report(await exportBooks(args, options), 'Export failed');
+    },
+    new(args, options) {
+        if (args.length !== 2) throw new Error('Usage: node cli.js new <series> "<title>"');
+        report(createArticle(args[0], args[1], options), 'Could not create the article');
+    }
+};
+
+async function run(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        process.exitCode = 1;
+        return;
+    }
+    const { values, positionals } = parsed;
+    if (values.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const [name = 'build', ...args] = positionals;
+    if (!Object.prototype.hasOwnProperty.call(COMMANDS, name)) {
+        console.error(`Unknown command "${name}"\n\n${USAGE}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    try {
+        await COMMANDS[name](args, getBuildOptions(values), values);
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    run(process.argv.slice(2));
+}
+
+module.exports = {
+    run
+};
@@ -0,0 +1,455 @@
+// Shared by every page; the build writes it to public/assets/ under a content-hashed name.
+// Everything stays inside this function so page scripts can use any global names they like.
+(function() {
+    // The service worker is at the top of the site, one folder up from this script in assets/
+    const scriptUrl = document.currentScript ? document.currentScript.src : '';
+    // UI strings in the page's language, from the JSON the build puts in <head> (locales/<lang>.json "script")
+    const strings = JSON.parse((document.getElementById('ui-strings') || {}).textContent || '{}');
+
+    // t('quizScore', { correct: 3, total: 4 }); a `count` value picks the plural form
+    function t(key, values = {}) {
+        let text = strings[key];
+        if (text && typeof text === 'object') {
+            text = text[new Intl.PluralRules(document.documentElement.lang).select(values.count)] || text.other;
+        }
+        return String(text || key).replace(/\{(\w+)\}/g, (match, name) => name in values ? values[name] : match);
+    }
+
+    // With critical CSS inlined, the full stylesheet arrives as a preload
+    function applyStylesheets() {
+        document.querySelectorAll('link[rel="preload"][data-stylesheet]').forEach(link => {
+            link.rel = 'stylesheet';
+        });
+    }
+
+    function setupTheme() {
+        const toggle = document.getElementById('themeToggle');
+        if (!toggle) return;
+        let isDark = localStorage.getItem('theme') === 'dark';
+        function setTheme(dark) {
+            isDark = dark;
+            document.documentElement.setAttribute('data-theme', dark ? 'dark' : 'light');
+            localStorage.setItem('theme', dark ? 'dark' : 'light');
+            toggle.textContent = dark ? t('themeLight') : t('themeDark');
+        }
+        toggle.addEventListener('click', () => setTheme(!isDark));
+        const saved = localStorage.getItem('theme');
+        const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+        setTheme(saved === 'dark' || (!saved && prefersDark));
+    }
+
+    // Shell prompts ("$ ", "PS C:\> ", "C:\> ") are not part of the command
+    function stripPrompts(text) {
+        return text.split('\n').map(line => line.replace(/^\s*(\$|PS [^>]*>|[A-Za-z]:\\[^>]*>)\s?/, '')).join('\n');
+    }
+
+    function copyText(text) {
+        if (navigator.clipboard && window.isSecureContext) return navigator.clipboard.writeText(text);
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.style.position = 'fixed';
+        textarea.style.opacity = '0';
+        document.body.appendChild(textarea);
+        textarea.select();
+        document.execCommand('copy');
+        textarea.remove();
+        return Promise.resolve();
+    }
+
+    function setupCodeBlocks() {
+        document.querySelectorAll('.code-block .copy-button').forEach(button => {
+            button.addEventListener('click', () => {
+                const block = button.closest('.code-block');
+                let text = block.querySelector('pre code').textContent;
+                if (block.dataset.shell === 'true') text = stripPrompts(text);
+                copyText(text).then(() => {
+                    button.textContent = t('copied');
+                    button.classList.add('copied');
+                    setTimeout(() => {
+                        button.textContent = t('copy');
+                        button.classList.remove('copied');
+                    }, 2000);
+                });
+            });
+        });
+    }
+
+    // Every tab group on the page follows the reader's last choice (e.g. PowerShell), which is kept for next time
+    function setupCodeTabs() {
+        const groups = [...document.querySelectorAll('.code-tabs')];
+        if (!groups.length) return;
+        function select(group, label) {
+            const tabs = [...group.querySelectorAll('[role="tab"]')];
+            if (!tabs.some(tab => tab.dataset.tab === label)) return;
+            tabs.forEach(tab => {
+                const selected = tab.dataset.tab === label;
+                tab.setAttribute('aria-selected', selected);
+                tab.tabIndex = selected ? 0 : -1;
+                document.getElementById(tab.getAttribute('aria-controls')).hidden = !selected;
+            });
+        }
+        function choose(tab) {
+            // Groups above this one may change height; keep the clicked tab where the reader sees it
+            const top = tab.getBoundingClientRect().top;
+            groups.forEach(group => select(group, tab.dataset.tab));
+            localStorage.setItem('codeTab', tab.dataset.tab);
+            window.scrollBy(0, tab.getBoundingClientRect().top - top);
+        }
+        const saved = localStorage.getItem('codeTab');
+        if (saved) groups.forEach(group => select(group, saved));
+        groups.forEach(group => {
+            group.addEventListener('click', event => {
+                const tab = event.target.closest('[role="tab"]');
+                if (tab) choose(tab);
+            });
+            group.addEventListener('keydown', event => {
+                const tab = event.target.closest('[role="tab"]');
+                if (!tab || (event.key !== 'ArrowLeft' && event.key !== 'ArrowRight')) return;
+                const tabs = [...group.querySelectorAll('[role="tab"]')];
+                const next = tabs[(tabs.indexOf(tab) + (event.key === 'ArrowRight' ? 1 : tabs.length - 1)) % tabs.length];
+                next.focus();
+                choose(next);
+            });
+        });
+    }
+
+    // Quiz scores per article and quiz: { "<slug>": { "<quiz number>": { correct, total, best } } }
+    function loadQuizResults() {
+        try {
+            return JSON.parse(localStorage.getItem('quizResults')) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    // Readers may paste the prompt or extra spaces along with the command
+    function normalizeCommand(text) {
+        return stripPrompts(text).trim().replace(/\s+/g, ' ');
+    }
+
+    function gradeQuestion(question) {
+        if (question.dataset.type === 'command') {
+            const input = question.querySelector('.quiz-command');
+            const answers = JSON.parse(input.dataset.answers);
+            const answer = normalizeCommand(input.value);
+            return { correct: answers.some(accepted => normalizeCommand(accepted) === answer), answered: answer !== '', expected: answers[0] };
+        }
+        const inputs = [...question.querySelectorAll('input')];
+        return {
+            correct: inputs.every(input => input.checked === input.hasAttribute('data-correct')),
+            answered: inputs.some(input => input.checked)
+        };
+    }
+
+    function showFeedback(question, result) {
+        question.classList.add(result.correct ? 'is-correct' : 'is-incorrect');
+        question.querySelectorAll('input').forEach(input => {
+            input.disabled = true;
+            const option = input.closest('.quiz-option');
+            if (!option) return;
+            const isAnswer = input.hasAttribute('data-correct');
+            option.classList.toggle('is-answer', isAnswer);
+            option.classList.toggle('is-wrong', input.checked && !isAnswer);
+            // Explain what the reader chose and what they should have chosen
+            const explanation = question.querySelector(`.quiz-explanations [data-option="${input.value}"]`);
+            if (explanation) explanation.hidden = !(input.checked || isAnswer);
+        });
+        let message = result.correct ? t('quizCorrect') : result.answered ? t('quizWrong') : t('quizUnanswered');
+        if (!result.correct && result.expected) message += ` ${t('quizExpected', { answer: result.expected })}`;
+        question.querySelector('.quiz-result').textContent = message;
+        question.querySelector('.quiz-feedback').hidden = false;
+    }
+
+    function resetQuestion(question) {
+        question.classList.remove('is-correct', 'is-incorrect');
+        question.querySelectorAll('input').forEach(input => {
+            input.disabled = false;
+        });
+        question.querySelectorAll('.quiz-option').forEach(option => option.classList.remove('is-answer', 'is-wrong'));
+        question.querySelectorAll('.quiz-explanations li').forEach(item => {
+            item.hidden = true;
+        });
+        question.querySelector('.quiz-feedback').hidden = true;
+    }
+
+    function setupQuizzes() {
+        const article = document.querySelector('.article-post[data-slug]');
+        const quizzes = document.querySelectorAll('form.quiz');
+        if (!article || !quizzes.length) return;
+        const slug = article.dataset.slug;
+        quizzes.forEach(quiz => {
+            const questions = [...quiz.querySelectorAll('.quiz-question')];
+            const score = quiz.querySelector('.quiz-score');
+            const check = quiz.querySelector('.quiz-check');
+            const retry = quiz.querySelector('.quiz-reset');
+            const previous = (loadQuizResults()[slug] || {})[quiz.dataset.quiz];
+            if (previous) score.textContent = t('quizBest', previous);
+
+            quiz.addEventListener('submit', event => {
+                event.preventDefault();
+                const results = questions.map(gradeQuestion);
+                questions.forEach((question, i) => showFeedback(question, results[i]));
+                const correct = results.filter(result => result.correct).length;
+
+                const all = loadQuizResults();
+                const saved = all[slug] || {};
+                const best = Math.min(questions.length, Math.max(correct, saved[quiz.dataset.quiz] ? saved[quiz.dataset.quiz].best : 0));
+                saved[quiz.dataset.quiz] = { correct, total: questions.length, best };
+                all[slug] = saved;
+                localStorage.setItem('quizResults', JSON.stringify(all));
+
+                score.textContent = t(best > correct ? 'quizScoreBest' : 'quizScore', { correct, total: questions.length, best });
+                check.hidden = true;
+                retry.hidden = false;
+            });
+            retry.addEventListener('click', () => {
+                quiz.reset();
+                questions.forEach(resetQuestion);
+                score.textContent = '';
+                check.hidden = false;
+                retry.hidden = true;
+            });
+        });
+    }
+
+    // The series overview lists the parts with quizzes; fill in the reader's best scores
+    function setupQuizSummary() {
+        const summary = document.querySelector('.quiz-summary');
+        if (!summary) return;
+        const results = loadQuizResults();
+        const items = [...summary.querySelectorAll('[data-quiz-article]')];
+        let taken = 0;
+        let correct = 0;
+        let total = 0;
+        items.forEach(item => {
+            // Scores of quizzes the article no longer has are left out
+            const saved = results[item.dataset.quizArticle] || {};
+            const quizzes = item.dataset.quizzes.split(' ').filter(key => Object.prototype.hasOwnProperty.call(saved, key)).map(key => saved[key]);
+            if (!quizzes.length) return;
+            const questions = parseInt(item.dataset.questions, 10);
+            const best = Math.min(questions, quizzes.reduce((sum, quiz) => sum + quiz.best, 0));
+            item.querySelector('.quiz-summary-score').textContent = t('quizSummaryScore', { best, total: questions, percent: Math.round(100 * best / questions) });
+            item.classList.add(best === questions ? 'is-complete' : 'is-taken');
+            taken++;
+            correct += best;
+            total += questions;
+        });
+        summary.querySelector('.quiz-summary-total').textContent = taken ?
+            t('quizSummaryTotal', { taken, parts: items.length, correct, total }) :
+            t('quizSummaryEmpty');
+    }
+
+    // Reading progress per article slug: { read, position, visited }, where position runs from 0 at the top
+    // of the article to 1 at its end. The home page reads the same entries for series progress and "Continue".
+    function loadProgress() {
+        try {
+            return JSON.parse(localStorage.getItem('readingProgress')) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    function updateProgress(slug, changes) {
+        const progress = loadProgress();
+        progress[slug] = { read: false, position: 0, ...progress[slug], ...changes, visited: Date.now() };
+        localStorage.setItem('readingProgress', JSON.stringify(progress));
+        return progress[slug];
+    }
+
+    // Parts already read are marked in series outlines and on series pages
+    function markReadArticles() {
+        const progress = loadProgress();
+        document.querySelectorAll('[data-article]').forEach(item => {
+            item.classList.toggle('is-read', Boolean(progress[item.dataset.article] && progress[item.dataset.article].read));
+        });
+    }
+
+    function setupReadingProgress() {
+        const article = document.querySelector('.article-post[data-progress]');
+        if (!article) return;
+        const slug = article.dataset.slug;
+        const toggle = article.querySelector('.read-toggle');
+        let entry = updateProgress(slug, {});
+        const saved = entry.position;
+        // Unmarking an article keeps the end of it from marking it read again during this visit
+        let markAtEnd = !entry.read;
+
+        function getPosition() {
+            const rect = article.getBoundingClientRect();
+            const scrollable = rect.height - window.innerHeight;
+            return scrollable > 0 ? Math.min(1, Math.max(0, -rect.top / scrollable)) : 1;
+        }
+        function scrollToPosition(position) {
+            const rect = article.getBoundingClientRect();
+            window.scrollTo(0, window.scrollY + rect.top + position * Math.max(0, rect.height - window.innerHeight));
+        }
+        function showStatus() {
+            if (toggle) {
+                toggle.hidden = false;
+                toggle.textContent = entry.read ? t('markUnread') : t('markRead');
+                toggle.classList.toggle('is-read', entry.read);
+            }
+            markReadArticles();
+        }
+
+        if (toggle) {
+            toggle.addEventListener('click', () => {
+                entry = updateProgress(slug, { read: !entry.read });
+                markAtEnd = false;
+                showStatus();
+            });
+        }
+
+        let saveTimer = null;
+        window.addEventListener('scroll', () => {
+            clearTimeout(saveTimer);
+            saveTimer = setTimeout(() => {
+                const position = getPosition();
+                const reachedEnd = markAtEnd && position >= 0.98;
+                entry = updateProgress(slug, reachedEnd ? { position, read: true } : { position });
+                if (reachedEnd) {
+                    markAtEnd = false;
+                    showStatus();
+                }
+            }, 300);
+        }, { passive: true });
+
+        // "Continue" links on the home page add ?resume; otherwise the reader is offered the saved position
+        const params = new URLSearchParams(location.search);
+        if (params.has('resume')) {
+            params.delete('resume');
+            const query = params.toString();
+            history.replaceState(null, '', `${location.pathname}${query ? `?${query}` : ''}${location.hash}`);
+            if (!location.hash && saved > 0) scrollToPosition(saved);
+        } else if (!location.hash && !entry.read && saved > 0.05 && saved < 0.95) {
+            const banner = document.createElement('p');
+            banner.className = 'resume-banner';
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = t('resume', { percent: Math.round(saved * 100) });
+            button.addEventListener('click', () => {
+                banner.remove();
+                scrollToPosition(saved);
+            });
+            banner.append(button);
+            article.prepend(banner);
+        }
+
+        showStatus();
+    }
+
+    function setupToc() {
+        const toc = document.querySelector('.article-toc');
+        if (!toc) return;
+        const tocLinks = [...toc.querySelectorAll('a[href^="#"]')];
+        const tocHeadings = tocLinks.map(link => document.getElementById(decodeURIComponent(link.hash.slice(1))));
+        // Expanded as a sidebar on wide screens, collapsed above the article on small ones
+        toc.open = window.matchMedia('(min-width: 1200px)').matches;
+        let spyFrame = null;
+        function updateActiveHeading() {
+            spyFrame = null;
+            let active = 0;
+            tocHeadings.forEach((heading, i) => {
+                if (heading && heading.getBoundingClientRect().top < 120) active = i;
+            });
+            tocLinks.forEach((link, i) => link.classList.toggle('active', i === active));
+        }
+        window.addEventListener('scroll', () => {
+            if (!spyFrame) spyFrame = requestAnimationFrame(updateActiveHeading);
+        }, { passive: true });
+        updateActiveHeading();
+    }
+
+    // Pages link the web app manifest when the site is built for offline reading (`offline` in site.config.js)
+    function registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || !scriptUrl || !document.querySelector('link[rel="manifest"]')) return Promise.resolve(null);
+        return navigator.serviceWorker.register(new URL('../sw.js', scriptUrl)).catch(() => null);
+    }
+
+    // Sends a message to the active service worker; it answers on a port, with progress messages before the answer
+    function askServiceWorker(message, onProgress) {
+        return navigator.serviceWorker.ready.then(registration => new Promise((resolve, reject) => {
+            const channel = new MessageChannel();
+            channel.port1.onmessage = event => {
+                if (event.data.progress) {
+                    if (onProgress) onProgress(event.data.progress);
+                } else if (event.data.error) {
+                    reject(new Error(event.data.error));
+                } else {
+                    resolve(event.data);
+                }
+            };
+            registration.active.postMessage(message, [channel.port2]);
+        }));
+    }
+
+    // "Save series for offline" on series pages: every part with its images, kept up to date by the service worker
+    function setupOfflineSave(registering) {
+        const box = document.querySelector('.offline-save[data-series]');
+        if (!box) return;
+        const button = box.querySelector('.offline-save-button');
+        const status = box.querySelector('.offline-save-status');
+        const series = box.dataset.series;
+        let saved = false;
+        function show(isSaved) {
+            saved = isSaved;
+            box.classList.toggle('is-saved', saved);
+            button.textContent = saved ? t('offlineRemove') : t('offlineSave');
+            button.disabled = false;
+            status.textContent = saved ? t('offlineSaved') : '';
+        }
+        registering.then(registration => {
+            if (!registration) return;
+            box.hidden = false;
+            askServiceWorker({ type: 'series-status', series }).then(answer => show(answer.saved), () => {});
+        });
+        button.addEventListener('click', () => {
+            button.disabled = true;
+            status.textContent = '';
+            const type = saved ? 'remove-series' : 'save-series';
+            askServiceWorker({ type, series }, progress => {
+                status.textContent = t('offlineSaving', progress);
+            }).then(answer => show(answer.saved), () => {
+                button.disabled = false;
+                status.textContent = t('offlineFailed');
+            });
+        });
+    }
+
+    // The offline page offers to try again and lists the series saved for reading without a connection
+    function setupOfflinePage(registering) {
+        const page = document.querySelector('.offline-page');
+        if (!page) return;
+        const retry = page.querySelector('.offline-retry');
+        if (retry) retry.addEventListener('click', () => location.reload());
+        const saved = page.querySelector('.offline-saved');
+        registering.then(registration => {
+            if (!registration || !saved) return;
+            askServiceWorker({ type: 'saved-series' }).then(answer => {
+                const list = saved.querySelector('ul');
+                answer.series.forEach(series => {
+                    const item = document.createElement('li');
+                    const link = document.createElement('a');
+                    link.href = series.url;
+                    link.textContent = series.title;
+                    item.append(link);
+                    list.append(item);
+                });
+                saved.hidden = !answer.series.length;
+            }, () => {});
+        });
+    }
+
+    applyStylesheets();
+    setupTheme();
+    setupCodeBlocks();
+    setupCodeTabs();
+    setupQuizzes();
+    setupQuizSummary();
+    setupReadingProgress();
+    markReadArticles();
+    setupToc();
+    const registering = registerServiceWorker();
+    setupOfflineSave(registering);
+    setupOfflinePage(registering);
+})();
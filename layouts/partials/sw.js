@@ -0,0 +1,184 @@
+// The service worker, written to public/sw.js with the file lists below filled in by the build.
+// Pages come from the network while there is one and from the caches without; the home pages, offline pages and
+// shared assets are cached on install, and series a reader saves (see setupOfflineSave in site.js) are refreshed
+// whenever the build changes one of their files. Each file's revision is a hash of its content.
+const PRECACHE = {{{precache}}};
+// Series by their folder URL: { title, files }
+const SERIES = {{{series}}};
+// The offline page for each language's folder ('' is the default language)
+const OFFLINE_PAGES = {{{offlinePages}}};
+
+const SCOPE = self.registration.scope;
+// Caches belong to the whole origin, which other sites may share (e.g. user.github.io/<project>/)
+const PREFIX = `offline:${SCOPE}:`;
+const PRECACHE_NAME = `${PREFIX}precache`;
+const PAGES_NAME = `${PREFIX}pages`;
+const SERIES_PREFIX = `${PREFIX}series:`;
+// Every cache keeps the revisions of its files under this URL
+const REVISIONS_URL = new URL('__revisions__.json', SCOPE).href;
+
+function toUrl(url) {
+    return new URL(url, SCOPE).href;
+}
+
+// Folder URLs are served from their index.html, and queries like ?resume do not change the page
+function getCacheKey(request) {
+    const url = new URL(request.url);
+    url.search = '';
+    url.hash = '';
+    if (url.pathname.endsWith('/')) url.pathname += 'index.html';
+    return url.href;
+}
+
+async function readRevisions(cache) {
+    const response = await cache.match(REVISIONS_URL);
+    return response ? response.json() : {};
+}
+
+// Fetches the files that are missing or have a new revision and drops the ones no longer listed.
+// onProgress(done, total) follows along; a failed download stops the update and keeps what was fetched.
+async function updateCache(name, files, onProgress) {
+    const cache = await caches.open(name);
+    const revisions = await readRevisions(cache);
+    const stale = [];
+    for (const file of files) {
+        if (revisions[file.url] !== file.revision || !(await cache.match(toUrl(file.url)))) stale.push(file);
+    }
+    let done = files.length - stale.length;
+    if (onProgress) onProgress(done, files.length);
+
+    try {
+        for (const file of stale) {
+            const response = await fetch(toUrl(file.url), { cache: 'no-cache' });
+            if (!response.ok) throw new Error(`${file.url}: ${response.status} ${response.statusText}`);
+            await cache.put(toUrl(file.url), response);
+            revisions[file.url] = file.revision;
+            if (onProgress) onProgress(++done, files.length);
+        }
+        const listed = new Set(files.map(file => file.url));
+        for (const url of Object.keys(revisions).filter(url => !listed.has(url))) {
+            await cache.delete(toUrl(url));
+            delete revisions[url];
+        }
+    } finally {
+        await cache.put(REVISIONS_URL, new Response(JSON.stringify(revisions), { headers: { 'Content-Type': 'application/json' } }));
+    }
+}
+
+function getSeriesCache(series) {
+    return `${SERIES_PREFIX}${series}`;
+}
+
+// Saved series are kept up to date along with the precache; a series that is gone from the site is dropped
+async function updateSavedSeries() {
+    for (const name of await caches.keys()) {
+        if (!name.startsWith(SERIES_PREFIX)) continue;
+        const series = SERIES[name.slice(SERIES_PREFIX.length)];
+        if (!series) {
+            await caches.delete(name);
+            continue;
+        }
+        // Without a connection the saved copy stays as it is until the next update
+        await updateCache(name, series.files).catch(() => {});
+    }
+}
+
+async function saveSeries(id, onProgress) {
+    const series = SERIES[id];
+    if (!series) throw new Error(`Unknown series ${id}`);
+    const name = getSeriesCache(id);
+    const existed = await caches.has(name);
+    try {
+        await updateCache(name, series.files, onProgress);
+    } catch (error) {
+        // A first save that fails half way leaves nothing behind
+        if (!existed) await caches.delete(name);
+        throw error;
+    }
+}
+
+async function getSavedSeries() {
+    const names = await caches.keys();
+    return Object.keys(SERIES)
+        .filter(id => names.includes(getSeriesCache(id)))
+        .map(id => ({ title: SERIES[id].title, url: toUrl(`${id}index.html`) }));
+}
+
+// The offline page of the language the reader was browsing in. Its links are relative to where it lives,
+// not to the page that was asked for, hence the <base>.
+async function getOfflinePage(request) {
+    const path = request.url.slice(SCOPE.length);
+    const folder = Object.keys(OFFLINE_PAGES)
+        .filter(prefix => path.startsWith(prefix))
+        .sort((a, b) => b.length - a.length)[0];
+    const url = toUrl(OFFLINE_PAGES[folder || '']);
+    const cached = await caches.match(url);
+    if (!cached) return Response.error();
+    const html = (await cached.text()).replace(/<head>/i, `<head>\n    <base href="${url}">`);
+    return new Response(html, { headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+}
+
+// Pages: the network first, so readers always get the latest version; every page read is kept for later
+async function fromNetwork(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(PAGES_NAME);
+            await cache.put(getCacheKey(request), response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(getCacheKey(request));
+        return cached || getOfflinePage(request);
+    }
+}
+
+// Everything else: assets have content-hashed names or a revision, so a cached copy is current
+async function fromCache(request) {
+    const cached = await caches.match(getCacheKey(request));
+    return cached || fetch(request);
+}
+
+self.addEventListener('install', event => {
+    event.waitUntil(updateCache(PRECACHE_NAME, PRECACHE)
+        .then(updateSavedSeries)
+        .then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    // Live reload and other streams are left to the browser
+    if (request.method !== 'GET' || !request.url.startsWith(SCOPE) || request.headers.get('Accept') === 'text/event-stream') return;
+    event.respondWith(request.mode === 'navigate' ? fromNetwork(request) : fromCache(request));
+});
+
+// Messages from site.js come with a port for the answer: { saved }, { series } or { error },
+// and { progress: { done, total } } along the way while a series is saved
+self.addEventListener('message', event => {
+    const port = event.ports[0];
+    const { type, series } = event.data || {};
+    if (!port) return;
+    const reply = data => port.postMessage(data);
+
+    let work;
+    if (type === 'series-status') {
+        work = caches.has(getSeriesCache(series)).then(saved => {
+            // A saved series that missed an update (no connection at the time) catches up when its page is opened
+            if (saved && SERIES[series]) event.waitUntil(updateCache(getSeriesCache(series), SERIES[series].files).catch(() => {}));
+            return { saved };
+        });
+    } else if (type === 'save-series') {
+        work = saveSeries(series, (done, total) => reply({ progress: { done, total } })).then(() => ({ saved: true }));
+    } else if (type === 'remove-series') {
+        work = caches.delete(getSeriesCache(series)).then(() => ({ saved: false }));
+    } else if (type === 'saved-series') {
+        work = getSavedSeries().then(list => ({ series: list }));
+    } else {
+        return;
+    }
+    event.waitUntil(work.then(reply, error => reply({ error: error.message })));
+});
@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { isExternalUrl } = require('./links');
+
+// Raster formats that get smaller srcset variants; GIFs keep their animation, so they are only measured
+const RESIZABLE_EXTENSIONS = new Set(['.png', '.jpg', '.jpeg', '.webp']);
+const SRCSET_WIDTHS = [480, 960, 1440];
+
+// Hashing every asset on every render is wasteful, so results are kept until the file changes
+const assetCache = new Map();
+
+// Width and height from the file header, read synchronously so the Markdown renderer can use them
+function getImageSize(buffer) {
+    if (buffer.length >= 24 && buffer.toString('ascii', 1, 4) === 'PNG') {
+        return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+    if (buffer.length >= 10 && buffer.toString('ascii', 0, 4) === 'GIF8') {
+        return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+    }
+    if (buffer.length >= 30 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+        const chunk = buffer.toString('ascii', 12, 16);
+        if (chunk === 'VP8 ') {
+            return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+        }
+        if (chunk === 'VP8L') {
+            const bits = buffer.readUInt32LE(21);
+            return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+        }
+        if (chunk === 'VP8X') {
+            return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+        }
+    }
+    if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+        // Walk the JPEG segments up to the first start-of-frame marker
+        let offset = 2;
+        while (offset + 9 < buffer.length && buffer[offset] === 0xff) {
+            const marker = buffer[offset + 1];
+            if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+                return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+            }
+            offset += 2 + buffer.readUInt16BE(offset + 2);
+        }
+    }
+    return null;
+}
+
+function withSuffix(file, suffix) {
+    const extension = path.posix.extname(file);
+    return `${file.slice(0, file.length - extension.length)}${suffix}${extension}`;
+}
+
+function loadAsset(source, relative) {
+    const { mtimeMs } = fs.statSync(source);
+    const cached = assetCache.get(source);
+    if (cached && cached.mtimeMs === mtimeMs) return cached.asset;
+
+    const content = fs.readFileSync(source);
+    const hash = crypto.createHash('sha256').update(content).digest('hex').slice(0, 10);
+    const output = withSuffix(relative, `.${hash}`);
+    const extension = path.posix.extname(relative).toLowerCase();
+    const size = getImageSize(content);
+    const variants = size && RESIZABLE_EXTENSIONS.has(extension) ?
+        SRCSET_WIDTHS.filter(width => width < size.width).map(width => ({ width, output: withSuffix(output, `-${width}w`) })) :
+        [];
+
+    const asset = { source, output, size, variants };
+    assetCache.set(source, { mtimeMs, asset });
+    return asset;
+}
+
+// Resolves a relative link or image in an article to the file next to it, with the href to use on the page.
+// Returns null for anything that is not a local asset, including missing files (the link checker reports those).
+function resolveAsset(href, folder, articlesDir) {
+    if (!href || isExternalUrl(href) || href.startsWith('/') || href.startsWith('#')) return null;
+
+    const match = href.match(/^([^?#]*)(.*)$/);
+    const target = match[1];
+    if (!target || /\.(md|html)$/i.test(target)) return null;
+
+    let decoded = target;
+    try {
+        decoded = decodeURIComponent(target);
+    } catch (error) {
+        // Keep the href as written
+    }
+
+    const relative = path.posix.normalize(path.posix.join((folder || '').split(path.sep).join('/'), decoded));
+    if (relative.startsWith('..')) return null;
+
+    const source = path.join(articlesDir, relative);
+    if (!fs.existsSync(source) || !fs.statSync(source).isFile()) return null;
+
+    const asset = loadAsset(source, relative);
+    // Only the file name changes, so the href keeps whatever relative path the author wrote
+    const directory = target.slice(0, target.lastIndexOf('/') + 1);
+    const toHref = output => `${directory}${encodeURIComponent(path.posix.basename(output))}`;
+
+    return {
+        ...asset,
+        href: `${toHref(asset.output)}${match[2]}`,
+        srcset: asset.variants.length ?
+            [...asset.variants.map(variant => `${toHref(variant.output)} ${variant.width}w`), `${toHref(asset.output)} ${asset.size.width}w`].join(', ') :
+            ''
+    };
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Removes copies and variants of an asset from earlier versions of its source, like writeFingerprinted does
+// for the site's stylesheet and script: <name>.<hash>.<ext> and <name>.<hash>-<width>w.<ext> next to the current one
+function removeOldCopies(asset, outputDir) {
+    const dir = path.join(outputDir, path.posix.dirname(asset.output));
+    const extension = path.extname(asset.source);
+    const name = path.basename(asset.source, extension);
+    const pattern = new RegExp(`^${escapeRegExp(name)}\\.[0-9a-f]{10}(-\\d+w)?${escapeRegExp(extension)}$`);
+    const current = new Set([asset.output, ...asset.variants.map(variant => variant.output)].map(output => path.posix.basename(output)));
+
+    for (const existing of fs.readdirSync(dir)) {
+        if (!current.has(existing) && pattern.test(existing)) fs.unlinkSync(path.join(dir, existing));
+    }
+}
+
+// Copies assets and writes their resized variants into outputDir; content-hashed names mean existing files are current
+async function copyAssets(assets, outputDir) {
+    let written = 0;
+
+    for (const asset of assets) {
+        if (!fs.existsSync(asset.source)) {
+            throw new Error(`Missing asset ${path.relative(process.cwd(), asset.source)}`);
+        }
+
+        const target = path.join(outputDir, asset.output);
+        if (!fs.existsSync(target)) {
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            fs.copyFileSync(asset.source, target);
+            written++;
+        }
+
+        for (const variant of asset.variants) {
+            const variantTarget = path.join(outputDir, variant.output);
+            if (fs.existsSync(variantTarget)) continue;
+            await sharp(asset.source).resize({ width: variant.width }).toFile(variantTarget);
+            written++;
+        }
+
+        removeOldCopies(asset, outputDir);
+    }
+
+    return { total: assets.length, written };
+}
+
+module.exports = {
+    resolveAsset,
+    copyAssets
+};
@@ -0,0 +1,172 @@
+// Fenced containers for tutorials, written with three or more colons:
+//
+//   :::note Optional title        :::tabs                     :::solution Show the answer
+//   Callout body (Markdown)       ```bash                     Hidden until the reader opens it
+//   :::                           ...                         :::
+//                                 ```
+//                                 ```powershell
+//                                 ...
+//                                 ```
+//                                 :::
+//
+// note, warning and tip render as callouts, solution (or details) as a collapsible block and tabs as one
+// code block per tab. As with markdown-it-container, a container closes on a line of at least as many colons as it
+// opened with, so the one around a nested container needs more colons than the containers inside it:
+//
+//   ::::solution
+//   :::tip
+//   ...
+//   :::
+//   ::::
+const { escapeHtml } = require('./utils');
+const { translate } = require('./i18n');
+
+// Default titles come from the "containers" strings in locales/<lang>.json
+const CALLOUTS = ['note', 'warning', 'tip'];
+const OPENER_PATTERN = /^(:{3,})[ \t]*(note|warning|tip|solution|details|tabs)\b[ \t]*([^\n]*)(?:\n|$)/;
+const CODE_FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})/;
+
+// Tab labels for the shells our articles show side by side, from "containers.tabs" in locales/<lang>.json;
+// `tab="..."` after the language overrides them
+const TAB_LABELS = {
+    bash: 'unix',
+    sh: 'unix',
+    zsh: 'unix',
+    shell: 'unix',
+    console: 'unix',
+    powershell: 'powershell',
+    ps: 'powershell',
+    ps1: 'powershell',
+    pwsh: 'powershell',
+    cmd: 'cmd',
+    bat: 'cmd',
+    dos: 'cmd'
+};
+
+// Tab ids are unique within one marked() call; build.js resets the counter with the heading ids
+let tabGroupCount = 0;
+
+function resetContainerIds() {
+    tabGroupCount = 0;
+}
+
+function getTabLabel(infostring) {
+    const explicit = (infostring || '').match(/\btab=(?:"([^"]*)"|(\S+))/);
+    if (explicit) return explicit[1] || explicit[2];
+    const language = ((infostring || '').match(/^\S*/)[0] || '').toLowerCase();
+    if (Object.prototype.hasOwnProperty.call(TAB_LABELS, language)) return translate(`containers.tabs.${TAB_LABELS[language]}`);
+    return language ? language.charAt(0).toUpperCase() + language.slice(1) : translate('containers.tabs.code');
+}
+
+// Each code block starts a tab; whatever follows it (an "Output:" line, say) stays in that tab
+function groupTabs(tokens) {
+    const before = [];
+    const tabs = [];
+    for (const token of tokens) {
+        if (token.type === 'code') {
+            tabs.push({ label: getTabLabel(token.lang), tokens: [token] });
+        } else if (tabs.length) {
+            tabs[tabs.length - 1].tokens.push(token);
+        } else {
+            before.push(token);
+        }
+    }
+    return { before, tabs };
+}
+
+function renderTabs(parser, tokens) {
+    const { before, tabs } = groupTabs(tokens);
+    const prefix = `code-tabs-${++tabGroupCount}`;
+
+    const buttons = tabs.map((tab, i) => `<button type="button" role="tab" id="${prefix}-tab-${i}" aria-controls="${prefix}-panel-${i}" aria-selected="${i === 0}"${i === 0 ? '' : ' tabindex="-1"'} data-tab="${escapeHtml(tab.label)}">${escapeHtml(tab.label)}</button>`);
+    const panels = tabs.map((tab, i) => `<div class="code-tabs-panel" role="tabpanel" id="${prefix}-panel-${i}" aria-labelledby="${prefix}-tab-${i}"${i === 0 ? '' : ' hidden'}>
+${parser.parse(tab.tokens)}</div>`);
+
+    return `${parser.parse(before)}<div class="code-tabs">
+<div class="code-tabs-list" role="tablist">${buttons.join('')}</div>
+${panels.join('\n')}
+</div>
+`;
+}
+
+// The container starting at the top of src: { raw, kind, title, body }, or null when it is never closed.
+// The closer is looked for line by line, skipping fenced code, so a ::: line inside a code block stays code.
+function findContainer(src) {
+    const opener = src.match(OPENER_PATTERN);
+    if (!opener) return null;
+    const lines = src.slice(opener[0].length).split('\n');
+    let fence = null;
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        if (fence) {
+            const closing = line.match(CODE_FENCE_PATTERN);
+            if (closing && closing[1][0] === fence[0] && closing[1].length >= fence.length && !line.slice(closing[0].length).trim()) fence = null;
+            continue;
+        }
+        const code = line.match(CODE_FENCE_PATTERN);
+        if (code) {
+            fence = code[1];
+            continue;
+        }
+        const closer = line.match(/^(:{3,})[ \t]*$/);
+        if (closer && closer[1].length >= opener[1].length) {
+            // Blank lines after the closer belong to it, as they do after other blocks
+            let end = i + 1;
+            while (end < lines.length - 1 && !lines[end].trim()) end++;
+            const rest = lines.slice(end).join('\n');
+            return {
+                raw: src.slice(0, src.length - rest.length),
+                kind: opener[2],
+                title: opener[3],
+                body: lines.slice(0, i).join('\n')
+            };
+        }
+    }
+    return null;
+}
+
+// The marked extension for all container kinds
+const containerExtension = {
+    name: 'container',
+    level: 'block',
+    start(src) {
+        const match = src.match(/^:{3,}[ \t]*(note|warning|tip|solution|details|tabs)\b/m);
+        return match ? match.index : undefined;
+    },
+    tokenizer(src) {
+        if (!src.startsWith(':::')) return undefined;
+        const container = findContainer(src);
+        if (!container) return undefined;
+        const { raw, kind, title, body } = container;
+        return {
+            type: 'container',
+            raw,
+            kind,
+            title: title.trim() ? this.lexer.inline(title.trim()) : null,
+            tokens: this.lexer.blockTokens(body, [])
+        };
+    },
+    renderer(token) {
+        if (token.kind === 'tabs') return renderTabs(this.parser, token.tokens);
+
+        const body = this.parser.parse(token.tokens);
+        const title = token.title ? this.parser.parseInline(token.title) : null;
+
+        if (CALLOUTS.includes(token.kind)) {
+            return `<aside class="callout callout-${token.kind}" role="note">
+<p class="callout-title">${title || escapeHtml(translate(`containers.${token.kind}`))}</p>
+${body}</aside>
+`;
+        }
+        return `<details class="collapsible collapsible-${token.kind}">
+<summary>${title || escapeHtml(translate(`containers.${token.kind}`))}</summary>
+${body}</details>
+`;
+    }
+};
+
+module.exports = {
+    containerExtension,
+    resetContainerIds
+};
@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+
+// Matches the tag before and after minification, which drops the quotes around http-equiv
+const CSP_META_PATTERN = /\s*<meta http-equiv=["']?Content-Security-Policy["']? content=(?:"[^"]*"|'[^']*')\s*\/?>/i;
+const INLINE_SCRIPT_PATTERN = /<script\b([^>]*)>([\s\S]*?)<\/script>/gi;
+const INLINE_STYLE_PATTERN = /<style\b[^>]*>([\s\S]*?)<\/style>/gi;
+
+function getHash(content) {
+    return `'sha256-${crypto.createHash('sha256').update(content, 'utf-8').digest('base64')}'`;
+}
+
+// Data blocks such as JSON-LD are never executed, so only JavaScript needs a hash
+function isExecutable(attributes) {
+    if (/\bsrc\s*=/i.test(attributes)) return false;
+    const type = attributes.match(/\btype\s*=\s*["']?([^"'\s>]+)/i);
+    return !type || /^(text\/javascript|application\/javascript|module)$/i.test(type[1]);
+}
+
+// The policy for one page: the configured directives plus the hashes of its inline scripts and styles.
+// A static site has no per-request nonce, so hashes are what lets the inline code run.
+function getContentSecurityPolicy(html, directives) {
+    const scriptHashes = [];
+    const styleHashes = [];
+    let match;
+
+    INLINE_SCRIPT_PATTERN.lastIndex = 0;
+    while ((match = INLINE_SCRIPT_PATTERN.exec(html))) {
+        if (isExecutable(match[1])) scriptHashes.push(getHash(match[2]));
+    }
+    INLINE_STYLE_PATTERN.lastIndex = 0;
+    while ((match = INLINE_STYLE_PATTERN.exec(html))) {
+        styleHashes.push(getHash(match[1]));
+    }
+
+    const policy = { ...directives };
+    if (scriptHashes.length) policy['script-src'] = [...(policy['script-src'] || ["'self'"]), ...new Set(scriptHashes)];
+    if (styleHashes.length) policy['style-src'] = [...(policy['style-src'] || ["'self'"]), ...new Set(styleHashes)];
+
+    return Object.entries(policy).map(([name, values]) => [name, ...values].join(' ')).join('; ');
+}
+
+// Adds (or refreshes, after minification changed the inline code) the policy <meta> right after <meta charset>,
+// ahead of everything it governs
+function addContentSecurityPolicy(html, directives) {
+    const page = html.replace(CSP_META_PATTERN, '');
+    const meta = `<meta http-equiv="Content-Security-Policy" content="${getContentSecurityPolicy(page, directives)}">`;
+    const charset = page.match(/<meta charset=[^>]*>/i);
+    if (charset) return page.replace(charset[0], `${charset[0]}\n    ${meta}`);
+    return page.replace(/<head[^>]*>/i, head => `${head}\n    ${meta}`);
+}
+
+module.exports = {
+    getContentSecurityPolicy,
+    addContentSecurityPolicy
+};
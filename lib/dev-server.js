@@ -0,0 +1,159 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const LIVE_RELOAD_PATH = '/__livereload';
+// Served as a file rather than inlined so the pages' Content-Security-Policy allows it
+const LIVE_RELOAD_SCRIPT_PATH = '/__livereload.js';
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.ico': 'image/x-icon'
+};
+
+// Loaded by every served page (never written to public/) to reload on rebuilds and show build errors
+function getLiveReloadScript() {
+    return `(function() {
+    let overlay = null;
+    function hideOverlay() {
+        if (overlay) overlay.remove();
+        overlay = null;
+    }
+    function showOverlay(error) {
+        hideOverlay();
+        overlay = document.createElement('div');
+        overlay.setAttribute('role', 'alert');
+        overlay.style.cssText = 'position:fixed;inset:0;z-index:99999;background:rgba(17,24,39,0.92);color:#fecaca;' +
+            'font:14px/1.5 ui-monospace,SFMono-Regular,Menlo,monospace;padding:2rem;overflow:auto;white-space:pre-wrap;';
+        const title = document.createElement('div');
+        title.style.cssText = 'font-size:1.1rem;font-weight:700;color:#f87171;margin-bottom:1rem;';
+        title.textContent = 'Build failed';
+        const message = document.createElement('div');
+        message.textContent = error.message;
+        overlay.append(title, message);
+        document.body.appendChild(overlay);
+    }
+    const source = new EventSource('${LIVE_RELOAD_PATH}');
+    source.addEventListener('reload', () => location.reload());
+    source.addEventListener('build-error', event => showOverlay(JSON.parse(event.data)));
+    source.addEventListener('build-ok', hideOverlay);
+})();
+`;
+}
+
+function injectLiveReload(html) {
+    const script = `<script src="${LIVE_RELOAD_SCRIPT_PATH}"></script>`;
+    return html.includes('</body>') ? html.replace('</body>', `${script}\n</body>`) : html + script;
+}
+
+function resolveRequestPath(root, pathname) {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(pathname);
+    } catch (error) {
+        return null;
+    }
+
+    const filePath = path.join(root, path.normalize(decoded));
+    if (filePath !== root && !filePath.startsWith(root + path.sep)) return null;
+
+    if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+        return path.join(filePath, 'index.html');
+    }
+    return filePath;
+}
+
+function createDevServer({ root, port }) {
+    const clients = new Set();
+    let lastError = null;
+
+    function send(client, event, data) {
+        client.write(`event: ${event}\ndata: ${data}\n\n`);
+    }
+
+    function broadcast(event, data) {
+        for (const client of clients) send(client, event, data);
+    }
+
+    const server = http.createServer((req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+
+        if (pathname === LIVE_RELOAD_PATH) {
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                Connection: 'keep-alive'
+            });
+            res.write('retry: 1000\n\n');
+            clients.add(res);
+            send(res, lastError ? 'build-error' : 'build-ok', JSON.stringify(lastError || {}));
+            req.on('close', () => clients.delete(res));
+            return;
+        }
+
+        if (pathname === LIVE_RELOAD_SCRIPT_PATH) {
+            res.writeHead(200, { 'Content-Type': MIME_TYPES['.js'], 'Cache-Control': 'no-store' });
+            res.end(getLiveReloadScript());
+            return;
+        }
+
+        const filePath = resolveRequestPath(root, pathname);
+        if (!filePath || !fs.existsSync(filePath)) {
+            res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end(`Not found: ${pathname}`);
+            return;
+        }
+
+        const extension = path.extname(filePath).toLowerCase();
+        const headers = {
+            'Content-Type': MIME_TYPES[extension] || 'application/octet-stream',
+            'Cache-Control': 'no-store'
+        };
+
+        if (extension === '.html') {
+            res.writeHead(200, headers);
+            res.end(injectLiveReload(fs.readFileSync(filePath, 'utf-8')));
+            return;
+        }
+
+        res.writeHead(200, headers);
+        fs.createReadStream(filePath).pipe(res);
+    });
+
+    return {
+        listen() {
+            return new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(port, () => resolve(server.address().port));
+            });
+        },
+        reload() {
+            lastError = null;
+            broadcast('reload', '{}');
+        },
+        showError(error) {
+            lastError = { message: error.message || String(error) };
+            broadcast('build-error', JSON.stringify(lastError));
+        },
+        close() {
+            for (const client of clients) client.end();
+            server.close();
+        }
+    };
+}
+
+module.exports = {
+    createDevServer
+};
@@ -0,0 +1,86 @@
+// The built-in "strip-emoji" plugin: removes emoji from article and series text as it is parsed, leaving the
+// Markdown files as written. Replaces the old remove_emojis.py, which rewrote the files in place.
+//
+//   ['strip-emoji', {
+//       emojis: ['🚀', '✅'],      // only these; by default every emoji
+//       keep: ['⚠️'],              // never these
+//       code: false,               // also strip inside code blocks and inline code (default: leave code as written)
+//       frontMatter: ['title']     // front matter keys whose text is stripped (default: title, excerpt, description)
+//   }]
+
+// One emoji: a pictograph shown as emoji (by default or through the U+FE0F selector), with skin tones, ZWJ sequences
+// and keycaps. Regional indicators are emoji too, so a flag is a run of two.
+const EMOJI = '(?:(?:\\p{Emoji_Presentation}|\\p{Extended_Pictographic}\\uFE0F)\\p{Emoji_Modifier}?\\uFE0F?' +
+    '(?:\\u200D(?:\\p{Emoji_Presentation}|\\p{Extended_Pictographic})\\p{Emoji_Modifier}?\\uFE0F?)*|[#*0-9]\\uFE0F?\\u20E3)';
+// Fenced code blocks and code spans, which keep their emoji unless the `code` option is set
+const CODE_PATTERN = /^ {0,3}(`{3,}|~{3,})[^\n]*\n[\s\S]*?(?:\n {0,3}\1[`~]*[ \t]*(?=\n|(?![\s\S]))|(?![\s\S]))|(`+)(?!`)[\s\S]*?(?<!`)\2(?!`)/gm;
+const DEFAULT_FRONT_MATTER = ['title', 'excerpt', 'description'];
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// The list as alternatives, longest first so "🏗️" wins over "🏗"; the emoji selector is optional either way
+function toAlternatives(emojis) {
+    return [...new Set(emojis.map(emoji => String(emoji).replace(/\uFE0F/g, '')))]
+        .sort((a, b) => b.length - a.length)
+        .map(emoji => `${escapeRegExp(emoji)}\\uFE0F?`)
+        .join('|');
+}
+
+// A run of emoji with the spaces around it, e.g. " 🚀 ✨ " in "Deploy 🚀 ✨ now"
+function getEmojiPattern({ emojis, keep }) {
+    const single = emojis ? `(?:${toAlternatives(emojis)})` : EMOJI;
+    const emoji = keep && keep.length ? `(?!(?:${toAlternatives(keep)}))${single}` : single;
+    return new RegExp(`[ \\t]*${emoji}(?:[ \\t]*${emoji})*[ \\t]*`, 'gu');
+}
+
+// Removes emoji without leaving gaps: "## 🚀 Deploy" -> "## Deploy", "Done ✅" -> "Done", "**✅ Done**" -> "**Done**",
+// "a 🚀 b" -> "a b". Indentation at the start of a line stays.
+function stripEmoji(text, pattern) {
+    return text.replace(pattern, (match, offset, whole) => {
+        const before = match.match(/^[ \t]*/)[0];
+        const after = match.match(/[ \t]*$/)[0];
+        const end = offset + match.length;
+        if (offset === 0 || whole[offset - 1] === '\n') return before;
+        if (end === whole.length || whole[end] === '\n' || whole[end] === '\r') return '';
+        return before && after ? ' ' : '';
+    });
+}
+
+// Code is swapped for placeholders while the rest is stripped, so emoji next to code still lose their spaces properly
+function stripMarkdown(markdown, pattern, code) {
+    if (code) return stripEmoji(markdown, pattern);
+    const blocks = [];
+    const masked = markdown.replace(CODE_PATTERN, block => `\u0000${blocks.push(block) - 1}\u0000`);
+    return stripEmoji(masked, pattern).replace(/\u0000(\d+)\u0000/g, (match, index) => blocks[index]);
+}
+
+function checkList(value, name) {
+    if (value !== undefined && (!Array.isArray(value) || !value.every(item => typeof item === 'string' && item))) {
+        throw new Error(`strip-emoji: "${name}" must be a list of strings`);
+    }
+}
+
+function createEmojiPlugin(options = {}) {
+    checkList(options.emojis, 'emojis');
+    checkList(options.keep, 'keep');
+    checkList(options.frontMatter, 'frontMatter');
+    const pattern = getEmojiPattern(options);
+    const keys = options.frontMatter || DEFAULT_FRONT_MATTER;
+
+    return {
+        name: 'strip-emoji',
+        parse({ data, content }) {
+            const stripped = { ...data };
+            for (const key of keys) {
+                if (typeof stripped[key] === 'string') stripped[key] = stripEmoji(stripped[key], pattern).trim();
+            }
+            return { data: stripped, content: stripMarkdown(content, pattern, options.code === true) };
+        }
+    };
+}
+
+module.exports = {
+    createEmojiPlugin
+};
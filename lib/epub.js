@@ -0,0 +1,182 @@
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml } = require('./utils');
+const { createZip } = require('./zip');
+
+// EPUB 3 content documents are XHTML, so the rendered HTML has to become well-formed XML:
+// void elements closed, every attribute quoted and given a value, and no HTML-only named entities
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+const XML_ENTITIES = new Set(['amp', 'lt', 'gt', 'quot', 'apos']);
+// Named entities that turn up in rendered articles; any other one is escaped and shows as written
+const NAMED_ENTITIES = {
+    nbsp: 160, middot: 183, copy: 169, reg: 174, trade: 8482, hellip: 8230, mdash: 8212, ndash: 8211,
+    lsquo: 8216, rsquo: 8217, ldquo: 8220, rdquo: 8221, laquo: 171, raquo: 187, larr: 8592, rarr: 8594,
+    times: 215, deg: 176, bull: 8226
+};
+const TOKEN_PATTERN = /<!--[\s\S]*?-->|<\/?[a-zA-Z][^>]*>|[^<]+|</g;
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+const MEDIA_TYPES = {
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp'
+};
+
+function fixEntities(text) {
+    return text.replace(/&(#\d+;|#x[\da-f]+;|\w+;)?/gi, (match, entity) => {
+        if (!entity) return '&amp;';
+        const name = entity.slice(0, -1);
+        if (name.startsWith('#') || XML_ENTITIES.has(name)) return match;
+        return NAMED_ENTITIES[name] ? `&#${NAMED_ENTITIES[name]};` : `&amp;${entity}`;
+    });
+}
+
+function toXhtmlTag(tag) {
+    const end = tag.match(/^<\/([a-zA-Z][\w:-]*)\s*>$/);
+    if (end) return VOID_ELEMENTS.has(end[1].toLowerCase()) ? '' : `</${end[1].toLowerCase()}>`;
+
+    const [, name, rest] = tag.match(/^<([a-zA-Z][\w:-]*)([\s\S]*?)\/?>$/);
+    const element = name.toLowerCase();
+    const attributes = new Map();
+    let match;
+    ATTRIBUTE_PATTERN.lastIndex = 0;
+    while ((match = ATTRIBUTE_PATTERN.exec(rest))) {
+        const attribute = match[1].toLowerCase();
+        if (attributes.has(attribute)) continue;
+        // Boolean attributes (hidden, open) get their own name as the value
+        const value = [match[2], match[3], match[4], attribute].find(part => part !== undefined);
+        attributes.set(attribute, fixEntities(value).replace(/</g, '&lt;').replace(/"/g, '&quot;'));
+    }
+    const attributeList = [...attributes].map(([attribute, value]) => ` ${attribute}="${value}"`).join('');
+    return `<${element}${attributeList}${VOID_ELEMENTS.has(element) ? ' /' : ''}>`;
+}
+
+// Rendered article HTML as XHTML; comments are kept, a stray "<" in text is escaped
+function toXhtml(html) {
+    return html.replace(TOKEN_PATTERN, token => {
+        if (token.startsWith('<!--')) return token;
+        if (token === '<') return '&lt;';
+        if (token.startsWith('<')) return toXhtmlTag(token);
+        return fixEntities(token);
+    });
+}
+
+function getMediaType(file) {
+    return MEDIA_TYPES[path.extname(file).toLowerCase()] || null;
+}
+
+function getDocument(book, title, body) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="${book.language}" xml:lang="${book.language}">
+<head>
+    <meta charset="UTF-8" />
+    <title>${escapeHtml(title)}</title>
+    <link rel="stylesheet" type="text/css" href="style.css" />
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+function getTitlePage(book) {
+    return getDocument(book, book.title, `<section class="book-title-page" epub:type="titlepage">
+${book.cover ? `<img class="book-cover" src="${escapeHtml(book.cover.name)}" alt="" />\n` : ''}<p class="book-site">${escapeHtml(book.publisher)}</p>
+<h1>${escapeHtml(book.title)}</h1>
+${book.description ? `<p class="book-description">${escapeHtml(book.description)}</p>\n` : ''}${book.intro ? toXhtml(book.intro) : ''}
+</section>`);
+}
+
+// The navigation document: every chapter, with its h2 sections below it
+function getNav(book) {
+    const items = book.chapters.map(chapter => {
+        const sections = chapter.sections.map(section => `<li><a href="${chapter.file}#${escapeHtml(section.id)}">${escapeHtml(section.title)}</a></li>`);
+        return `<li><a href="${chapter.file}">${escapeHtml(chapter.title)}</a>${sections.length ? `\n<ol>\n${sections.join('\n')}\n</ol>\n` : ''}</li>`;
+    });
+    return getDocument(book, book.strings.contents, `<nav epub:type="toc" id="toc">
+<h1>${escapeHtml(book.strings.contents)}</h1>
+<ol>
+${items.join('\n')}
+</ol>
+</nav>`);
+}
+
+function getPackage(book, images) {
+    const modified = book.modified.toISOString().replace(/\.\d{3}Z$/, 'Z');
+    const manifest = [
+        '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav" />',
+        '<item id="style" href="style.css" media-type="text/css" />',
+        '<item id="title-page" href="title.xhtml" media-type="application/xhtml+xml" />',
+        ...book.chapters.map((chapter, i) => `<item id="chapter-${i + 1}" href="${chapter.file}" media-type="application/xhtml+xml" />`),
+        ...images.map((image, i) => `<item id="${image === book.cover ? 'cover-image' : `image-${i + 1}`}" href="${escapeHtml(image.name)}" media-type="${getMediaType(image.name)}"${image === book.cover ? ' properties="cover-image"' : ''} />`)
+    ];
+    const spine = ['title-page', ...book.chapters.map((chapter, i) => `chapter-${i + 1}`)];
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${book.language}">
+    <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+        <dc:identifier id="book-id">${escapeHtml(book.id)}</dc:identifier>
+        <dc:title>${escapeHtml(book.title)}</dc:title>
+        <dc:language>${book.language}</dc:language>
+${book.authors.map(author => `        <dc:creator>${escapeHtml(author)}</dc:creator>`).join('\n')}
+        <dc:publisher>${escapeHtml(book.publisher)}</dc:publisher>
+${book.description ? `        <dc:description>${escapeHtml(book.description)}</dc:description>\n` : ''}        <dc:date>${book.date}</dc:date>
+${book.subjects.map(subject => `        <dc:subject>${escapeHtml(subject)}</dc:subject>`).join('\n')}
+        <meta property="dcterms:modified">${modified}</meta>
+${book.cover ? '        <meta name="cover" content="cover-image" />\n' : ''}    </metadata>
+    <manifest>
+${manifest.map(item => `        ${item}`).join('\n')}
+    </manifest>
+    <spine>
+${spine.map(id => `        <itemref idref="${id}" />`).join('\n')}
+    </spine>
+</package>
+`;
+}
+
+const CONTAINER = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+    <rootfiles>
+        <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml" />
+    </rootfiles>
+</container>
+`;
+
+// book: { id, title, language, authors, publisher, description, intro, date, modified, subjects, css, strings: { contents },
+//         cover: { source, name } or null, chapters: [{ file, title, html, sections: [{ id, title }] }],
+//         images: [{ source, name }] } where image names are paths inside the book that the chapter HTML already uses.
+// Returns the number of images embedded.
+function writeEpub(file, book) {
+    const images = [...(book.cover ? [book.cover] : []), ...book.images.filter(image => image.name !== (book.cover && book.cover.name))];
+    const unsupported = images.find(image => !getMediaType(image.name));
+    if (unsupported) throw new Error(`${path.relative(process.cwd(), unsupported.source)}: EPUB books cannot embed this image type`);
+
+    const entries = [
+        // Must come first and uncompressed so readers can recognise the file
+        { name: 'mimetype', data: 'application/epub+zip', store: true },
+        { name: 'META-INF/container.xml', data: CONTAINER },
+        { name: 'OEBPS/content.opf', data: getPackage(book, images) },
+        { name: 'OEBPS/nav.xhtml', data: getNav(book) },
+        { name: 'OEBPS/style.css', data: book.css },
+        { name: 'OEBPS/title.xhtml', data: getTitlePage(book) },
+        ...book.chapters.map(chapter => ({
+            name: `OEBPS/${chapter.file}`,
+            data: getDocument(book, chapter.title, `<section epub:type="chapter">\n${toXhtml(chapter.html)}\n</section>`)
+        })),
+        ...images.map(image => ({ name: `OEBPS/${image.name}`, data: fs.readFileSync(image.source) }))
+    ];
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, createZip(entries, book.modified));
+    return images.length;
+}
+
+module.exports = {
+    toXhtml,
+    writeEpub
+};
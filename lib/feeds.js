@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml } = require('./utils');
+
+const FEED_FILES = {
+    rss: 'feed.xml',
+    atom: 'atom.xml',
+    json: 'feed.json'
+};
+
+// Feeds are read outside the site, so every relative link in the content has to become absolute
+function absolutizeUrl(value, baseUrl) {
+    return /^([a-z][a-z0-9+.-]*:|\/\/)/i.test(value) ? value : new URL(value, baseUrl).href;
+}
+
+// Only the attributes themselves: data-src and the like are left as they are
+function absolutizeUrls(html, baseUrl) {
+    return html
+        .replace(/(\s)(href|src)="([^"]*)"/g, (match, space, attribute, value) => `${space}${attribute}="${absolutizeUrl(value, baseUrl)}"`)
+        .replace(/(\s)srcset="([^"]*)"/g, (match, space, value) => `${space}srcset="${value.split(', ').map(candidate => {
+            const [url, descriptor] = candidate.split(' ');
+            return `${absolutizeUrl(url, baseUrl)} ${descriptor}`;
+        }).join(', ')}"`);
+}
+
+function toCdata(text) {
+    return `<![CDATA[${text.replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+function getRssFeed(feed) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <channel>
+        <title>${escapeHtml(feed.title)}</title>
+        <link>${escapeHtml(feed.homePageUrl)}</link>
+        <description>${escapeHtml(feed.description)}</description>
+        <language>${feed.language}</language>
+        <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>
+        <atom:link href="${escapeHtml(feed.feedUrls.rss)}" rel="self" type="application/rss+xml" />
+${feed.items.map(item => `        <item>
+            <title>${escapeHtml(item.title)}</title>
+            <link>${escapeHtml(item.url)}</link>
+            <guid isPermaLink="true">${escapeHtml(item.url)}</guid>
+            <pubDate>${item.date.toUTCString()}</pubDate>
+            <dc:creator>${escapeHtml(item.author)}</dc:creator>
+${item.tags.map(tag => `            <category>${escapeHtml(tag)}</category>`).join('\n')}
+            <description>${escapeHtml(item.summary)}</description>
+            <content:encoded>${toCdata(item.html)}</content:encoded>
+        </item>`).join('\n')}
+    </channel>
+</rss>
+`;
+}
+
+function getAtomFeed(feed) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${feed.language}">
+    <title>${escapeHtml(feed.title)}</title>
+    <subtitle>${escapeHtml(feed.description)}</subtitle>
+    <id>${escapeHtml(feed.homePageUrl)}</id>
+    <link href="${escapeHtml(feed.homePageUrl)}" rel="alternate" type="text/html" />
+    <link href="${escapeHtml(feed.feedUrls.atom)}" rel="self" type="application/atom+xml" />
+    <updated>${feed.updated.toISOString()}</updated>
+    <author>
+        <name>${escapeHtml(feed.author)}</name>
+    </author>
+${feed.items.map(item => `    <entry>
+        <title>${escapeHtml(item.title)}</title>
+        <id>${escapeHtml(item.url)}</id>
+        <link href="${escapeHtml(item.url)}" rel="alternate" type="text/html" />
+        <published>${item.date.toISOString()}</published>
+        <updated>${(item.updated || item.date).toISOString()}</updated>
+        <author>
+            <name>${escapeHtml(item.author)}</name>
+        </author>
+${item.tags.map(tag => `        <category term="${escapeHtml(tag)}" />`).join('\n')}
+        <summary>${escapeHtml(item.summary)}</summary>
+        <content type="html">${escapeHtml(item.html)}</content>
+    </entry>`).join('\n')}
+</feed>
+`;
+}
+
+function getJsonFeed(feed) {
+    return JSON.stringify({
+        version: 'https://jsonfeed.org/version/1.1',
+        title: feed.title,
+        home_page_url: feed.homePageUrl,
+        feed_url: feed.feedUrls.json,
+        description: feed.description,
+        language: feed.language,
+        authors: [{ name: feed.author }],
+        items: feed.items.map(item => ({
+            id: item.url,
+            url: item.url,
+            title: item.title,
+            summary: item.summary,
+            content_html: item.html,
+            date_published: item.date.toISOString(),
+            date_modified: (item.updated || item.date).toISOString(),
+            authors: [{ name: item.author }],
+            tags: item.tags
+        }))
+    }, null, 2);
+}
+
+// Writes feed.xml (RSS 2.0), atom.xml and feed.json into outputDir; dirUrl is that folder's absolute URL
+function writeFeeds(outputDir, dirUrl, feed) {
+    const feedUrls = {};
+    for (const [format, file] of Object.entries(FEED_FILES)) {
+        feedUrls[format] = new URL(file, dirUrl).href;
+    }
+
+    const items = feed.items.map(item => ({
+        ...item,
+        html: absolutizeUrls(item.html, item.url)
+    }));
+    const updated = items.reduce((latest, item) => {
+        const date = item.updated || item.date;
+        return date > latest ? date : latest;
+    }, new Date(0));
+    const fullFeed = { language: 'en', ...feed, items, feedUrls, updated };
+
+    if (!fs.existsSync(outputDir)) fs.mkdirSync(outputDir, { recursive: true });
+    fs.writeFileSync(path.join(outputDir, FEED_FILES.rss), getRssFeed(fullFeed));
+    fs.writeFileSync(path.join(outputDir, FEED_FILES.atom), getAtomFeed(fullFeed));
+    fs.writeFileSync(path.join(outputDir, FEED_FILES.json), getJsonFeed(fullFeed));
+}
+
+// <link rel="alternate"> tags for a folder holding the three feeds; prefix is the relative path to it
+function getFeedLinks(title, prefix = '') {
+    return [
+        ['application/rss+xml', FEED_FILES.rss, 'RSS'],
+        ['application/atom+xml', FEED_FILES.atom, 'Atom'],
+        ['application/feed+json', FEED_FILES.json, 'JSON Feed']
+    ].map(([type, file, label]) =>
+        `<link rel="alternate" type="${type}" title="${escapeHtml(title)} (${label})" href="${prefix}${file}">`
+    ).join('\n    ');
+}
+
+module.exports = {
+    writeFeeds,
+    getFeedLinks
+};
@@ -0,0 +1,37 @@
+const { execFileSync } = require('child_process');
+const path = require('path');
+
+// Last commit date (YYYY-MM-DD) of every file under dir, keyed by its path relative to dir.
+// One `git log` covers the whole folder; files that were never committed are missing from the map,
+// and so is everything when git or the repository is unavailable (e.g. building from a tarball).
+// A shallow clone only knows its latest commit, so CI checkouts need full history for useful dates.
+function getLastCommitDates(dir) {
+    const dates = new Map();
+    let log;
+
+    try {
+        log = execFileSync('git', ['-c', 'core.quotePath=false', 'log', '--format=%x00%cs', '--name-only', '--relative', '--', '.'], {
+            cwd: dir,
+            encoding: 'utf-8',
+            stdio: ['ignore', 'pipe', 'ignore'],
+            maxBuffer: 64 * 1024 * 1024
+        });
+    } catch (error) {
+        return dates;
+    }
+
+    // Newest commits come first, so the first date seen for a file is its latest
+    for (const entry of log.split('\0')) {
+        const [date, ...files] = entry.split('\n').filter(Boolean);
+        for (const file of files) {
+            const key = file.split('/').join(path.sep);
+            if (!dates.has(key)) dates.set(key, date);
+        }
+    }
+
+    return dates;
+}
+
+module.exports = {
+    getLastCommitDates
+};
@@ -0,0 +1,75 @@
+const hljs = require('highlight.js/lib/core');
+const { escapeHtml } = require('./utils');
+const { translate } = require('./i18n');
+
+// Only the languages our articles use are registered, which keeps the build fast
+// and avoids surprising auto-detection on unlabeled blocks.
+hljs.registerLanguage('bash', require('highlight.js/lib/languages/bash'));
+hljs.registerLanguage('shell', require('highlight.js/lib/languages/shell'));
+hljs.registerLanguage('yaml', require('highlight.js/lib/languages/yaml'));
+hljs.registerLanguage('dockerfile', require('highlight.js/lib/languages/dockerfile'));
+hljs.registerLanguage('json', require('highlight.js/lib/languages/json'));
+hljs.registerLanguage('nginx', require('highlight.js/lib/languages/nginx'));
+hljs.registerLanguage('powershell', require('highlight.js/lib/languages/powershell'));
+hljs.registerLanguage('dos', require('highlight.js/lib/languages/dos'));
+hljs.registerLanguage('xml', require('highlight.js/lib/languages/xml'));
+hljs.registerLanguage('javascript', require('highlight.js/lib/languages/javascript'));
+hljs.registerLanguage('ini', require('highlight.js/lib/languages/ini'));
+hljs.registerLanguage('plaintext', require('highlight.js/lib/languages/plaintext'));
+
+const LANGUAGE_ALIASES = {
+    sh: 'bash',
+    zsh: 'bash',
+    console: 'shell',
+    ps: 'powershell',
+    ps1: 'powershell',
+    pwsh: 'powershell',
+    cmd: 'dos',
+    bat: 'dos',
+    yml: 'yaml',
+    docker: 'dockerfile',
+    html: 'xml',
+    js: 'javascript',
+    text: 'plaintext',
+    txt: 'plaintext'
+};
+
+// Languages whose blocks are commands typed at a prompt; the copy button strips prompts for these
+const SHELL_LANGUAGES = ['bash', 'shell', 'powershell', 'dos'];
+
+function getLanguageName(infostring) {
+    const match = (infostring || '').match(/^\S*/);
+    return match ? match[0].toLowerCase() : '';
+}
+
+function highlightCode(code, label) {
+    const language = LANGUAGE_ALIASES[label] || label;
+    if (!language || !hljs.getLanguage(language)) {
+        return { html: escapeHtml(code), language: null, isShell: false };
+    }
+
+    return {
+        html: hljs.highlight(code, { language, ignoreIllegals: true }).value,
+        language,
+        isShell: SHELL_LANGUAGES.includes(language)
+    };
+}
+
+function renderCodeBlock(code, infostring) {
+    const label = getLanguageName(infostring);
+    const { html, language, isShell } = highlightCode(code, label);
+    const codeClass = language ? ` class="hljs language-${language}"` : '';
+
+    return `<div class="code-block"${isShell ? ' data-shell="true"' : ''}>
+    <div class="code-header">
+        <span class="code-lang">${escapeHtml(label)}</span>
+        <button type="button" class="copy-button" aria-label="${escapeHtml(translate('article.copyCode'))}">${escapeHtml(translate('script.copy'))}</button>
+    </div>
+    <pre><code${codeClass}>${html}</code></pre>
+</div>
+`;
+}
+
+module.exports = {
+    renderCodeBlock
+};
@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+
+// UI strings come from locales/<lang>.json, grouped by where they appear. A language's file only needs the
+// strings it translates; the rest fall back to the default language. Values may hold {name} placeholders,
+// and a string that depends on a number is an object keyed by plural category ({ "one": ..., "other": ... }).
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+
+let localesDir = null;
+let defaultLanguage = 'en';
+// The language translate() and the formatters use; build.js switches it per language and per article
+let active = null;
+const files = new Map();
+
+function isLanguageCode(value) {
+    return typeof value === 'string' && LANGUAGE_PATTERN.test(value);
+}
+
+// "01-intro.de" -> { name: '01-intro', language: 'de' }; names without a language suffix keep language null
+function splitLanguageSuffix(name) {
+    const match = name.match(/^(.+)\.([^.]+)$/);
+    return match && isLanguageCode(match[2]) ? { name: match[1], language: match[2] } : { name, language: null };
+}
+
+function setupLocales(dir, language) {
+    localesDir = dir;
+    defaultLanguage = language;
+    active = null;
+}
+
+function getLocaleFile(language) {
+    return path.join(localesDir, `${language}.json`);
+}
+
+function hasLocale(language) {
+    return fs.existsSync(getLocaleFile(language));
+}
+
+// Parsed files are reused until they change, so the dev server picks up edits
+function readLocale(language) {
+    const file = getLocaleFile(language);
+    if (!fs.existsSync(file)) return {};
+    const { mtimeMs } = fs.statSync(file);
+    const cached = files.get(file);
+    if (cached && cached.mtimeMs === mtimeMs) return cached.data;
+
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (error) {
+        throw new Error(`${path.relative(process.cwd(), file)}: ${error.message}`);
+    }
+    files.set(file, { mtimeMs, data });
+    return data;
+}
+
+function isObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function merge(base, override) {
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+        merged[key] = isObject(value) && isObject(base[key]) ? merge(base[key], value) : value;
+    }
+    return merged;
+}
+
+// { language, name, locale, strings }: name is what the language switcher shows, locale formats dates and numbers
+function getLocale(language = defaultLanguage) {
+    const own = readLocale(language);
+    const strings = language === defaultLanguage ? own : merge(readLocale(defaultLanguage), own);
+    return { language, name: own.name || language, locale: own.locale || language, strings };
+}
+
+// Returns the previously active language so a caller can switch back
+function useLocale(language) {
+    const previous = active ? active.language : defaultLanguage;
+    active = getLocale(language);
+    return previous;
+}
+
+// The locale of the language being built: its code, name, date locale and strings
+function getActiveLocale() {
+    if (!active) active = getLocale();
+    return active;
+}
+
+function formatNumber(value) {
+    return value.toLocaleString(getActiveLocale().locale);
+}
+
+function formatDate(date, month = 'long') {
+    return new Date(date).toLocaleDateString(getActiveLocale().locale, { year: 'numeric', month, day: 'numeric' });
+}
+
+// translate('series.part', { part: 2, total: 10 }) -> "Part 2 of 10"; a `count` value picks the plural form
+function translate(key, values = {}) {
+    const locale = getActiveLocale();
+    let text = key.split('.').reduce((value, part) => isObject(value) ? value[part] : undefined, locale.strings);
+    if (isObject(text) && typeof values.count === 'number') {
+        text = text[new Intl.PluralRules(locale.locale).select(values.count)] || text.other;
+    }
+    if (typeof text !== 'string') {
+        throw new Error(`Missing UI string "${key}" in locales/${locale.language}.json`);
+    }
+    return text.replace(/\{(\w+)\}/g, (match, name) => {
+        const value = values[name];
+        if (value === undefined) return match;
+        return typeof value === 'number' ? formatNumber(value) : String(value);
+    });
+}
+
+module.exports = {
+    isLanguageCode,
+    splitLanguageSuffix,
+    setupLocales,
+    hasLocale,
+    getLocale,
+    getActiveLocale,
+    useLocale,
+    translate,
+    formatDate,
+    formatNumber
+};
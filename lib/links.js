@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+const { splitLanguageSuffix } = require('./i18n');
+
+function isExternalUrl(href) {
+    return /^([a-z][a-z0-9+.-]*:|\/\/)/i.test(href);
+}
+
+function splitHref(href) {
+    const hashIndex = href.indexOf('#');
+    const target = hashIndex === -1 ? href : href.slice(0, hashIndex);
+    const fragment = hashIndex === -1 ? '' : href.slice(hashIndex + 1);
+    return { target: target.split('?')[0], fragment };
+}
+
+function safeDecode(text) {
+    try {
+        return decodeURIComponent(text);
+    } catch (error) {
+        return text;
+    }
+}
+
+// Pages mirror the articles/ folder, so a Markdown link only needs its extension swapped;
+// a series' _series.md becomes its generated landing page. Translations (name.<lang>.md) are
+// built into their language's own tree under the untranslated name.
+function rewriteMarkdownLink(href) {
+    if (isExternalUrl(href)) return href;
+    const match = href.match(/^([^?#]*?)([^/?#]*)\.md((?:[?#].*)?)$/i);
+    if (!match) return href;
+    const name = splitLanguageSuffix(match[2]).name;
+    const page = name === '_series' ? 'index' : name;
+    return `${match[1]}${page}.html${match[3]}`;
+}
+
+// Every id attribute in rendered HTML: heading anchors plus any ids written as raw HTML
+function getAnchorIds(html) {
+    const ids = new Set();
+    const idPattern = /\sid="([^"]+)"/g;
+    let match;
+    while ((match = idPattern.exec(html))) ids.add(match[1]);
+    return ids;
+}
+
+// entries: [{ filename, folder, html, links: [{ type, href }] }] where links are the hrefs as written in Markdown.
+// Returns broken internal links as "articles/<file>: ..." problems and the external URLs per article.
+function checkLinks(entries, { articlesDir, seriesFolders = [], unpublished = [] }) {
+    const pages = new Map();
+    for (const entry of entries) {
+        pages.set(entry.filename.split(path.sep).join('/').replace(/\.md$/, ''), entry);
+    }
+    const unpublishedPages = new Set(unpublished.map(filename => filename.split(path.sep).join('/').replace(/\.md$/, '')));
+    const series = new Set(seriesFolders);
+    const problems = [];
+    const external = [];
+
+    for (const entry of entries) {
+        const file = path.join('articles', entry.filename);
+        const folder = (entry.folder || '').split(path.sep).join('/');
+        const urls = [];
+        let ownIds = null;
+
+        for (const link of entry.links) {
+            if (isExternalUrl(link.href)) {
+                if (!urls.includes(link.href)) urls.push(link.href);
+                continue;
+            }
+            // Root-relative links depend on where the site is hosted; they cannot be checked from the source tree
+            if (link.href.startsWith('/')) continue;
+
+            const { target, fragment } = splitHref(link.href);
+            const anchor = safeDecode(fragment);
+            const report = message => problems.push(`${file}: ${link.type} "${link.href}" ${message}`);
+
+            if (!target) {
+                ownIds = ownIds || getAnchorIds(entry.html);
+                if (anchor && !ownIds.has(anchor)) report(`points to a missing heading "#${anchor}"`);
+                continue;
+            }
+
+            const resolved = path.posix.normalize(path.posix.join(folder, safeDecode(target)));
+            const page = resolved.replace(/\.(md|html)$/i, '');
+
+            if (/\.(md|html)$/i.test(resolved) && !resolved.startsWith('..')) {
+                const baseName = path.posix.basename(page);
+                const pageFolder = path.posix.dirname(page);
+                if (splitLanguageSuffix(baseName).name === '_series' || (baseName === 'index' && pageFolder !== '.')) {
+                    if (!series.has(pageFolder)) report('points to a series that does not exist');
+                    continue;
+                }
+                if (!pages.has(page)) {
+                    report(unpublishedPages.has(page) ?
+                        'points to an article that is not published yet' :
+                        `points to a missing article "articles/${page}.md"`);
+                    continue;
+                }
+                if (anchor && !getAnchorIds(pages.get(page).html).has(anchor)) {
+                    report(`points to a missing heading "#${anchor}" in articles/${page}.md`);
+                }
+                continue;
+            }
+
+            if (!fs.existsSync(path.join(articlesDir, resolved))) {
+                report(`points to a missing file "${path.posix.join('articles', resolved)}"`);
+            }
+        }
+
+        if (urls.length) external.push({ file, urls });
+    }
+
+    return { problems, external };
+}
+
+module.exports = {
+    isExternalUrl,
+    rewriteMarkdownLink,
+    checkLinks
+};
@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { writeFingerprinted } = require('./optimize');
+
+// Home screen icon sizes; browsers want at least 192px and 512px PNGs before they offer to install the site
+const ICON_SIZES = [192, 512];
+
+// A short hash of a file's content; the service worker fetches a cached file again when its revision changes
+function getRevision(file) {
+    return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex').slice(0, 10);
+}
+
+function toPublicUrl(publicDir, file) {
+    return path.relative(publicDir, file).split(path.sep).join('/');
+}
+
+// { url, revision } for each file, with URLs relative to public/ (where the service worker lives)
+function getCacheEntries(publicDir, files) {
+    return [...new Set(files)]
+        .filter(file => fs.existsSync(file))
+        .map(file => ({ url: toPublicUrl(publicDir, file), revision: getRevision(file) }));
+}
+
+// Local images a built page shows (src and srcset), as files inside public/
+function getPageImages(publicDir, page) {
+    const html = fs.readFileSync(page, 'utf-8');
+    const urls = [];
+    for (const match of html.matchAll(/<img\b[^>]*>/gi)) {
+        const src = match[0].match(/\ssrc="([^"]*)"/i);
+        const srcset = match[0].match(/\ssrcset="([^"]*)"/i);
+        if (src) urls.push(src[1]);
+        if (srcset) urls.push(...srcset[1].split(',').map(candidate => candidate.trim().split(/\s+/)[0]));
+    }
+    return urls
+        .filter(url => url && !/^([a-z][a-z0-9+.-]*:|\/\/|#)/i.test(url))
+        .map(url => path.resolve(path.dirname(page), decodeURIComponent(url.split(/[?#]/)[0])))
+        .filter(file => file.startsWith(publicDir + path.sep) && fs.existsSync(file));
+}
+
+// The home screen icons as fingerprinted PNGs in outputDir; `input` is an image file's path or a Buffer of one
+async function writeIcons(outputDir, input) {
+    const icons = [];
+    for (const size of ICON_SIZES) {
+        const png = await sharp(input, { density: 300 }).resize(size, size, { fit: 'cover' }).png().toBuffer();
+        icons.push({ src: writeFingerprinted(outputDir, `icon-${size}`, 'png', png), sizes: `${size}x${size}`, type: 'image/png' });
+    }
+    return icons;
+}
+
+// The web app manifest; URLs in it are relative to the manifest itself, at the top of public/
+function getManifest({ name, shortName, description, lang, backgroundColor, themeColor, icons }) {
+    return `${JSON.stringify({
+        name,
+        short_name: shortName || name,
+        description,
+        lang,
+        start_url: './',
+        scope: './',
+        display: 'standalone',
+        background_color: backgroundColor,
+        theme_color: themeColor,
+        icons
+    }, null, 2)}\n`;
+}
+
+module.exports = {
+    getCacheEntries,
+    getPageImages,
+    writeIcons,
+    getManifest
+};
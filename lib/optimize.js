@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const CleanCSS = require('clean-css');
+const { minify: minifyHtml } = require('html-minifier-terser');
+const { minify: minifyJs } = require('terser');
+
+const HTML_OPTIONS = {
+    collapseWhitespace: true,
+    // Keep a single space so inline elements don't run into each other
+    conservativeCollapse: true,
+    removeComments: true,
+    minifyCSS: true,
+    minifyJS: true
+};
+
+// Writes <name>.<hash>.<extension> into outputDir and removes older builds of the same file.
+// Returns the new file name.
+function writeFingerprinted(outputDir, name, extension, content) {
+    const hash = crypto.createHash('sha256').update(content).digest('hex').slice(0, 10);
+    const fileName = `${name}.${hash}.${extension}`;
+
+    fs.mkdirSync(outputDir, { recursive: true });
+    for (const existing of fs.readdirSync(outputDir)) {
+        if (existing !== fileName && existing.startsWith(`${name}.`) && existing.endsWith(`.${extension}`)) {
+            fs.unlinkSync(path.join(outputDir, existing));
+        }
+    }
+    fs.writeFileSync(path.join(outputDir, fileName), content);
+    return fileName;
+}
+
+function minifyCss(css) {
+    const result = new CleanCSS({ level: 1 }).minify(css);
+    if (result.errors.length) throw new Error(`CSS minification failed: ${result.errors.join('; ')}`);
+    return result.styles;
+}
+
+async function minifyScript(js) {
+    const result = await minifyJs(js);
+    return result.code;
+}
+
+async function minifyPage(html) {
+    return minifyHtml(html, HTML_OPTIONS);
+}
+
+function formatSize(bytes) {
+    return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+function getGzipSize(content) {
+    return zlib.gzipSync(content).length;
+}
+
+// entries: [{ file, before, after, gzip }] in bytes; lists the largest files and the totals
+function getSizeReport(entries, limit = 5) {
+    const total = key => entries.reduce((sum, entry) => sum + entry[key], 0);
+    const largest = [...entries].sort((a, b) => b.after - a.after).slice(0, limit);
+    const width = Math.max(...largest.map(entry => entry.file.length));
+    const describe = (before, after, gzip) => before === after ?
+        `${formatSize(after)} (gzip ${formatSize(gzip)})` :
+        `${formatSize(before)} -> ${formatSize(after)} (gzip ${formatSize(gzip)}, -${Math.round(100 - (after / before) * 100)}%)`;
+
+    return [
+        ...largest.map(entry => `  ${entry.file.padEnd(width)}  ${describe(entry.before, entry.after, entry.gzip)}`),
+        `  ${entries.length} files: ${describe(total('before'), total('after'), total('gzip'))}`
+    ].join('\n');
+}
+
+module.exports = {
+    writeFingerprinted,
+    minifyCss,
+    minifyScript,
+    minifyPage,
+    getGzipSize,
+    getSizeReport
+};
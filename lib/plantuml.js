@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const plantumlExecutor = require('node-plantuml/lib/plantuml-executor');
+const { plantumlVersion } = require('node-plantuml/package.json');
+
+const DIAGRAMS_DIR = 'diagrams';
+
+// Rendered diagrams by hash; build.js points this at .cache/plantuml in the site's root folder
+let cacheDir = path.join(__dirname, '..', '.cache', 'plantuml');
+
+function setDiagramCacheDir(dir) {
+    cacheDir = dir;
+}
+
+function isPlantUml(language) {
+    return language === 'plantuml' || language === 'puml';
+}
+
+// The PlantUML version is part of the key so upgrading the jar re-renders everything
+function hashDiagram(code) {
+    return crypto.createHash('sha256')
+        .update(`${plantumlVersion}\n${code}`)
+        .digest('hex')
+        .slice(0, 16);
+}
+
+function getDiagramPath(code) {
+    return `${DIAGRAMS_DIR}/${hashDiagram(code)}.svg`;
+}
+
+function wrapDiagram(code) {
+    if (/^\s*@start/.test(code)) return { source: code, lineOffset: 0 };
+    return { source: `@startuml\n${code}\n@enduml\n`, lineOffset: 1 };
+}
+
+function runPlantUml(source) {
+    return new Promise((resolve, reject) => {
+        const child = plantumlExecutor.exec(['-pipe', '-tsvg', '-charset', 'UTF-8']);
+        const stdout = [];
+        const stderr = [];
+
+        child.on('error', error => {
+            if (error.code === 'ENOENT') {
+                reject(new Error('PlantUML needs a Java runtime, but "java" was not found on PATH'));
+            } else {
+                reject(error);
+            }
+        });
+        child.stdout.on('data', chunk => stdout.push(chunk));
+        child.stderr.on('data', chunk => stderr.push(chunk));
+        child.on('close', exitCode => {
+            resolve({
+                svg: Buffer.concat(stdout).toString('utf-8'),
+                stderr: Buffer.concat(stderr).toString('utf-8'),
+                exitCode
+            });
+        });
+
+        child.stdin.end(source, 'utf-8');
+    });
+}
+
+// PlantUML reports failures on stderr as "ERROR", the 0-based line and the message
+function parsePlantUmlError({ svg, stderr, exitCode }) {
+    const match = stderr.match(/ERROR\s*\r?\n\s*(\d+)\s*\r?\n([^\r\n]*)/);
+    if (match) {
+        return { line: parseInt(match[1], 10), message: match[2].trim() || 'Syntax Error' };
+    }
+    if (/Syntax Error\?/.test(svg)) {
+        return { line: null, message: 'Syntax Error' };
+    }
+    if (exitCode !== 0 || !svg.includes('<svg')) {
+        return { line: null, message: stderr.trim() || `PlantUML exited with code ${exitCode}` };
+    }
+    return null;
+}
+
+// Code tokens anywhere in lexed Markdown, including inside lists, blockquotes and containers
+function findCodeTokens(tokens, found = []) {
+    for (const token of tokens) {
+        if (token.type === 'code') found.push(token);
+        if (token.items) token.items.forEach(item => findCodeTokens(item.tokens || [], found));
+        if (token.tokens) findCodeTokens(token.tokens, found);
+    }
+    return found;
+}
+
+// Diagrams in the article's tokens, with the line of their opening fence in `source` (the whole file). The fence
+// is looked up as written rather than the whole block, since plugins may have changed the rest of the text.
+function findDiagrams(tokens, source) {
+    const lines = source.split('\n');
+    let searchFrom = 0;
+
+    return findCodeTokens(tokens)
+        .map(token => {
+            const fence = token.raw.split('\n')[0].trim();
+            const index = lines.findIndex((line, n) => n >= searchFrom && line.trim() === fence);
+            if (index !== -1) searchFrom = index + 1;
+            return { token, fenceLine: index === -1 ? null : index + 1 };
+        })
+        .filter(({ token }) => isPlantUml(token.lang))
+        .map(({ token, fenceLine }) => ({ code: token.text, fenceLine }));
+}
+
+async function renderDiagram(code) {
+    const cacheFile = path.join(cacheDir, `${hashDiagram(code)}.svg`);
+    if (fs.existsSync(cacheFile)) return { file: cacheFile, cached: true };
+
+    const { source, lineOffset } = wrapDiagram(code);
+    const result = await runPlantUml(source);
+    const error = parsePlantUmlError(result);
+    if (error) {
+        error.line = error.line === null ? null : error.line - lineOffset;
+        return { error };
+    }
+
+    if (!fs.existsSync(cacheDir)) fs.mkdirSync(cacheDir, { recursive: true });
+    fs.writeFileSync(cacheFile, result.svg);
+    return { file: cacheFile, cached: false };
+}
+
+// Renders every diagram in an article (reusing the cache) and copies the SVGs next to the page.
+// `tokens` are the article's Markdown as lexed by the build's parser, with its extensions.
+async function renderArticleDiagrams(article, outputDir, tokens) {
+    const diagrams = findDiagrams(tokens, article.source);
+    let rendered = 0;
+
+    for (const diagram of diagrams) {
+        const result = await renderDiagram(diagram.code);
+
+        if (result.error) {
+            const line = diagram.fenceLine === null ? '' :
+                `:${diagram.fenceLine + 1 + Math.max(result.error.line || 0, 0)}`;
+            throw new Error(`${path.join('articles', article.filename)}${line}: PlantUML diagram failed to compile: ${result.error.message}`);
+        }
+
+        const target = path.join(outputDir, getDiagramPath(diagram.code));
+        if (!fs.existsSync(path.dirname(target))) fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.copyFileSync(result.file, target);
+        if (!result.cached) rendered++;
+    }
+
+    return { total: diagrams.length, rendered };
+}
+
+// Forgets every rendered diagram, so the next build renders them all again
+function clearDiagramCache() {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+}
+
+module.exports = {
+    isPlantUml,
+    getDiagramPath,
+    renderArticleDiagrams,
+    setDiagramCacheDir,
+    clearDiagramCache
+};
@@ -0,0 +1,94 @@
+const path = require('path');
+const { createEmojiPlugin } = require('./emoji');
+
+// Plugins are listed under `plugins` in site.config.js. An entry is a built-in plugin's name, a module path
+// (relative to the site's root folder) or either of those with options as ['name', { ... }]. A module exports
+// a function (options, siteConfig) => plugin, or the plugin itself. A plugin has a name and any of these hooks:
+//
+//   parse({ filename, data, content })  front matter and Markdown of an article or _series.md, before the build
+//                                       reads them; returns { data, content } (or changes them and returns nothing)
+//   marked                              marked options for every page: { extensions, renderer, hooks, walkTokens }
+//   page(html, { file, lang })          every HTML page before it is written, with its path inside public/;
+//                                       returns the new HTML
+//
+// Hooks run in the order the plugins are listed.
+const BUILT_IN_PLUGINS = {
+    'strip-emoji': createEmojiPlugin
+};
+const HOOKS = ['parse', 'page'];
+
+function describe(entry) {
+    return typeof entry === 'string' ? entry : (entry && entry.name) || 'unnamed';
+}
+
+function resolvePlugin(entry, root, siteConfig) {
+    const [source, options] = Array.isArray(entry) ? entry : [entry, {}];
+    if (options !== undefined && (typeof options !== 'object' || options === null || Array.isArray(options))) {
+        throw new Error(`Plugin "${describe(source)}": options must be an object`);
+    }
+
+    let plugin = source;
+    if (typeof source === 'string') {
+        if (BUILT_IN_PLUGINS[source]) {
+            plugin = BUILT_IN_PLUGINS[source];
+        } else if (source.startsWith('.') || path.isAbsolute(source)) {
+            plugin = require(path.resolve(root, source));
+        } else {
+            throw new Error(`Unknown plugin "${source}"; built-in plugins: ${Object.keys(BUILT_IN_PLUGINS).join(', ')}`);
+        }
+    }
+    if (typeof plugin === 'function') plugin = plugin(options || {}, siteConfig);
+    return checkPlugin(plugin, describe(source));
+}
+
+function checkPlugin(plugin, name) {
+    if (!plugin || typeof plugin !== 'object') throw new Error(`Plugin "${name}" is not a plugin object`);
+    const plugged = { ...plugin, name: plugin.name || name };
+    for (const hook of HOOKS) {
+        if (plugged[hook] !== undefined && typeof plugged[hook] !== 'function') {
+            throw new Error(`Plugin "${plugged.name}": "${hook}" must be a function`);
+        }
+    }
+    if (plugged.marked !== undefined && (!plugged.marked || typeof plugged.marked !== 'object')) {
+        throw new Error(`Plugin "${plugged.name}": "marked" must be marked options`);
+    }
+    return plugged;
+}
+
+// The plugin objects for a list of config entries
+function loadPlugins(entries, root, siteConfig) {
+    if (!Array.isArray(entries)) throw new Error('"plugins" in the site config must be a list');
+    return entries.map(entry => resolvePlugin(entry, root, siteConfig));
+}
+
+// An error from a hook names the plugin and the file it was working on
+function runHook(plugin, where, callback) {
+    try {
+        return callback();
+    } catch (error) {
+        error.message = `Plugin "${plugin.name}" failed on ${where}: ${error.message}`;
+        throw error;
+    }
+}
+
+// { data, content } after every parse hook; `where` is the file for error messages
+function applyParseHooks(plugins, file, where) {
+    return plugins.filter(plugin => plugin.parse).reduce((current, plugin) => {
+        const result = runHook(plugin, where, () => plugin.parse(current));
+        return result ? { ...current, data: result.data || current.data, content: typeof result.content === 'string' ? result.content : current.content } : current;
+    }, file);
+}
+
+function applyPageHooks(plugins, html, page) {
+    return plugins.filter(plugin => plugin.page).reduce((current, plugin) => {
+        const result = runHook(plugin, page.file, () => plugin.page(current, page));
+        if (typeof result !== 'string') throw new Error(`Plugin "${plugin.name}" failed on ${page.file}: the page hook must return HTML`);
+        return result;
+    }, html);
+}
+
+module.exports = {
+    loadPlugins,
+    applyParseHooks,
+    applyPageHooks
+};
@@ -0,0 +1,238 @@
+const crypto = require('crypto');
+const matter = require('gray-matter');
+const { escapeHtml } = require('./utils');
+const { translate } = require('./i18n');
+
+// A ```quiz fenced block holds YAML: a list of questions, or { id, title, questions }.
+//
+//   - question: What does `docker ps` list?        # Markdown allowed in all text
+//     options:                                     # single choice by default
+//       - text: Images
+//         explanation: That is `docker images`.
+//       - text: Running containers
+//         correct: true
+//   - question: Pick every command that stops a container
+//     type: multiple                               # any number of correct options
+//     options: [...]
+//   - question: Containers share the host kernel.
+//     type: truefalse
+//     answer: true
+//   - question: Which command lists stopped containers too?
+//     type: command                                # the reader types it in
+//     answer: [docker ps -a, docker ps --all]
+//     explanation: Shown after checking, like the option explanations
+//
+// Readers' scores are stored under the quiz's key: its `id` when it has one, else a hash of its questions, so adding
+// or moving other quizzes keeps them where they belong. Changing the questions themselves starts the scores afresh.
+const QUESTION_TYPES = ['single', 'multiple', 'truefalse', 'command'];
+const QUESTION_KEYS = ['question', 'type', 'options', 'answer', 'explanation'];
+const OPTION_KEYS = ['text', 'correct', 'explanation'];
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})[ \t]*quiz[ \t]*\n([\s\S]*?)(?:\n {0,3}\1[`~]*[ \t]*(?:\n+|$)|$)/;
+
+// Quiz numbers are unique within one marked() call; build.js resets them with the heading ids
+let quizCount = 0;
+
+function resetQuizIds() {
+    quizCount = 0;
+}
+
+function isText(value) {
+    return typeof value === 'string' || typeof value === 'number';
+}
+
+function checkKeys(object, allowed, where) {
+    const unknown = Object.keys(object).filter(key => !allowed.includes(key));
+    if (unknown.length) throw new Error(`${where}: unknown key${unknown.length === 1 ? '' : 's'} ${unknown.map(key => `"${key}"`).join(', ')}`);
+}
+
+function parseOption(option, where) {
+    if (!option || typeof option !== 'object' || Array.isArray(option)) {
+        throw new Error(`${where}: options need a "text" and, for the right ones, "correct: true"`);
+    }
+    checkKeys(option, OPTION_KEYS, where);
+    if (!isText(option.text)) throw new Error(`${where}: "text" is required`);
+    if (option.correct !== undefined && typeof option.correct !== 'boolean') throw new Error(`${where}: "correct" must be true or false`);
+    if (option.explanation !== undefined && !isText(option.explanation)) throw new Error(`${where}: "explanation" must be text`);
+    return { text: String(option.text), correct: option.correct === true, explanation: option.explanation === undefined ? '' : String(option.explanation) };
+}
+
+function parseQuestion(question, where) {
+    if (!question || typeof question !== 'object' || Array.isArray(question)) throw new Error(`${where}: expected a question with a "question" key`);
+    checkKeys(question, QUESTION_KEYS, where);
+    if (!isText(question.question)) throw new Error(`${where}: "question" is required`);
+
+    const type = question.type || 'single';
+    if (!QUESTION_TYPES.includes(type)) throw new Error(`${where}: type must be one of ${QUESTION_TYPES.join(', ')}`);
+    if (question.explanation !== undefined && !isText(question.explanation)) throw new Error(`${where}: "explanation" must be text`);
+
+    const parsed = { type, text: String(question.question), explanation: question.explanation === undefined ? '' : String(question.explanation), options: [], answers: [] };
+
+    if (type === 'single' || type === 'multiple') {
+        if (question.answer !== undefined) throw new Error(`${where}: mark the right options with "correct: true" instead of "answer"`);
+        if (!Array.isArray(question.options) || question.options.length < 2) throw new Error(`${where}: needs at least two options`);
+        parsed.options = question.options.map((option, i) => parseOption(option, `${where}, option ${i + 1}`));
+        const correct = parsed.options.filter(option => option.correct).length;
+        if (type === 'single' && correct !== 1) throw new Error(`${where}: a single-choice question needs exactly one correct option (found ${correct})`);
+        if (type === 'multiple' && correct === 0) throw new Error(`${where}: mark at least one option as correct`);
+    } else if (type === 'truefalse') {
+        if (typeof question.answer !== 'boolean') throw new Error(`${where}: "answer" must be true or false`);
+        if (question.options !== undefined) throw new Error(`${where}: true/false questions have no options`);
+        parsed.options = [true, false].map(value => ({ text: translate(value ? 'quiz.true' : 'quiz.false'), correct: question.answer === value, explanation: '' }));
+    } else {
+        const answers = Array.isArray(question.answer) ? question.answer : [question.answer];
+        if (!answers.length || !answers.every(answer => isText(answer) && String(answer).trim())) throw new Error(`${where}: "answer" must be the command, or a list of accepted commands`);
+        if (question.options !== undefined) throw new Error(`${where}: command questions have no options`);
+        parsed.answers = answers.map(answer => String(answer).trim());
+    }
+
+    return parsed;
+}
+
+// Validates the YAML of a quiz block; throws with the question and option that is wrong
+function parseQuiz(source) {
+    let data;
+    try {
+        data = matter.engines.yaml.parse(source);
+    } catch (error) {
+        throw new Error(`invalid YAML: ${error.reason || error.message}`);
+    }
+
+    const quiz = Array.isArray(data) ? { questions: data } : data;
+    if (!quiz || typeof quiz !== 'object' || !Array.isArray(quiz.questions)) {
+        throw new Error('expected a list of questions, or "title" and "questions"');
+    }
+    checkKeys(quiz, ['id', 'title', 'questions'], 'quiz');
+    if (quiz.id !== undefined && !(isText(quiz.id) && /^[\w-]+$/.test(String(quiz.id)))) throw new Error('"id" may only have letters, digits, "-" and "_"');
+    if (quiz.title !== undefined && !isText(quiz.title)) throw new Error('"title" must be text');
+    if (!quiz.questions.length) throw new Error('has no questions');
+
+    const questions = quiz.questions.map((question, i) => parseQuestion(question, `question ${i + 1}`));
+    return {
+        key: quiz.id === undefined ? hashQuestions(questions) : String(quiz.id),
+        title: quiz.title === undefined ? translate('quiz.title') : String(quiz.title),
+        questions
+    };
+}
+
+// What the questions ask and accept; explanations and the title can change without losing scores
+function hashQuestions(questions) {
+    const content = questions.map(question => [question.type, question.text, question.options.map(option => [option.text, option.correct]), question.answers]);
+    return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex').slice(0, 10);
+}
+
+function renderQuestion(parser, question, name, number) {
+    const inline = tokens => parser.parseInline(tokens);
+    const hints = { multiple: translate('quiz.multipleHint'), command: translate('quiz.commandHint') };
+
+    let input;
+    if (question.type === 'command') {
+        input = `<input type="text" class="quiz-command" name="${name}" aria-labelledby="${name}-legend" autocomplete="off" autocapitalize="off" spellcheck="false" data-answers="${escapeHtml(JSON.stringify(question.answers))}">`;
+    } else {
+        const inputType = question.type === 'multiple' ? 'checkbox' : 'radio';
+        input = `<div class="quiz-options">
+${question.options.map((option, i) => `<label class="quiz-option"><input type="${inputType}" name="${name}" value="${i}"${option.correct ? ' data-correct' : ''}> <span>${inline(option.tokens)}</span></label>`).join('\n')}
+</div>`;
+    }
+
+    const explanations = question.options
+        .map((option, i) => option.explanation ? `<li data-option="${i}" hidden>${inline(option.explanationTokens)}</li>` : '')
+        .filter(Boolean);
+
+    return `<fieldset class="quiz-question" data-type="${question.type}">
+<legend id="${name}-legend"><span class="quiz-number">${number}.</span> ${inline(question.tokens)}</legend>
+${hints[question.type] ? `<p class="quiz-hint">${escapeHtml(hints[question.type])}</p>\n` : ''}${input}
+<div class="quiz-feedback" hidden>
+<p class="quiz-result" aria-live="polite"></p>
+${explanations.length ? `<ul class="quiz-explanations">\n${explanations.join('\n')}\n</ul>\n` : ''}${question.explanation ? `<p class="quiz-explanation">${inline(question.explanationTokens)}</p>\n` : ''}</div>
+</fieldset>`;
+}
+
+// The marked extension: takes ```quiz fences before the code block renderer sees them.
+// A block that fails validation keeps its error on the token for `npm run check` (see getQuizProblems).
+const quizExtension = {
+    name: 'quiz',
+    level: 'block',
+    start(src) {
+        const match = src.match(/^ {0,3}(`{3,}|~{3,})[ \t]*quiz[ \t]*$/m);
+        return match ? match.index : undefined;
+    },
+    tokenizer(src) {
+        const match = FENCE_PATTERN.exec(src);
+        if (!match) return undefined;
+        const token = { type: 'quiz', raw: match[0], quiz: null, error: null };
+        try {
+            token.quiz = parseQuiz(match[2]);
+        } catch (error) {
+            token.error = error.message;
+            return token;
+        }
+        token.quiz.titleTokens = this.lexer.inline(token.quiz.title);
+        for (const question of token.quiz.questions) {
+            question.tokens = this.lexer.inline(question.text);
+            question.explanationTokens = this.lexer.inline(question.explanation);
+            for (const option of question.options) {
+                option.tokens = this.lexer.inline(option.text);
+                option.explanationTokens = this.lexer.inline(option.explanation);
+            }
+        }
+        return token;
+    },
+    renderer(token) {
+        if (token.error) {
+            return `<div class="quiz quiz-invalid" role="alert">${escapeHtml(translate('quiz.invalid', { error: token.error }))}</div>\n`;
+        }
+        const { quiz } = token;
+        const id = `quiz-${++quizCount}`;
+        return `<form class="quiz" id="${id}" data-quiz="${escapeHtml(quiz.key)}" data-questions="${quiz.questions.length}" novalidate>
+<p class="quiz-title">${this.parser.parseInline(quiz.titleTokens)}</p>
+${quiz.questions.map((question, i) => renderQuestion(this.parser, question, `${id}-q${i + 1}`, i + 1)).join('\n')}
+<div class="quiz-actions">
+<button type="submit" class="quiz-check">${escapeHtml(translate('quiz.check'))}</button>
+<button type="button" class="quiz-reset" hidden>${escapeHtml(translate('quiz.reset'))}</button>
+</div>
+<p class="quiz-score" aria-live="polite"></p>
+</form>
+`;
+    }
+};
+
+// Quiz tokens anywhere in lexed Markdown, including inside lists, blockquotes and containers
+function findQuizTokens(tokens, found = []) {
+    for (const token of tokens) {
+        if (token.type === 'quiz') found.push(token);
+        if (token.items) token.items.forEach(item => findQuizTokens(item.tokens || [], found));
+        if (token.tokens) findQuizTokens(token.tokens, found);
+    }
+    return found;
+}
+
+// { line, message } for every invalid quiz and every quiz whose key another one has, message being "quiz block N: ...". The line is the opening fence's in
+// `source`, the whole file; it is looked up by the fence as written, since plugins may have changed the rest.
+function getQuizProblems(tokens, source = '') {
+    const lines = source.split('\n');
+    const keys = new Map();
+    let searchFrom = 0;
+    return findQuizTokens(tokens)
+        .map((token, i) => {
+            const fence = token.raw.split('\n')[0].trim();
+            const index = lines.findIndex((line, n) => n >= searchFrom && line.trim() === fence);
+            if (index !== -1) searchFrom = index + 1;
+            const line = index === -1 ? null : index + 1;
+            if (token.error) return { line, message: `quiz block ${i + 1}: ${token.error}` };
+
+            const first = keys.get(token.quiz.key);
+            if (first === undefined) {
+                keys.set(token.quiz.key, i + 1);
+                return null;
+            }
+            return { line, message: `quiz block ${i + 1}: same "id" or questions as quiz block ${first}, so they would share their scores; give it an "id" of its own` };
+        })
+        .filter(Boolean);
+}
+
+module.exports = {
+    parseQuiz,
+    quizExtension,
+    resetQuizIds,
+    getQuizProblems
+};
@@ -0,0 +1,54 @@
+const { stripHtml } = require('./utils');
+const { translate } = require('./i18n');
+
+// Words per minute; code is read (and usually typed along) about half as fast as prose
+const PROSE_WPM = 200;
+const CODE_WPM = 100;
+
+// Runs of non-space characters with at least one letter or digit, so stray punctuation is not a word
+function countWords(text) {
+    return text.split(/\s+/).filter(word => /[\p{L}\p{N}]/u.test(word)).length;
+}
+
+// Word counts for a rendered article body, with code blocks counted apart from the prose.
+// Inline code stays in the prose count since it is read as part of the sentence.
+function getReadingStats(html) {
+    let codeWords = 0;
+    let codeBlocks = 0;
+
+    const prose = html
+        // Only the first tab of a tab group counts; the others repeat the same steps for another shell
+        .replace(/<div class="code-tabs-panel"[^>]* hidden>[\s\S]*?<\/div>(?=\n<div class="code-tabs-panel"|\n<\/div>)/g, ' ')
+        .replace(/<pre><code[^>]*>([\s\S]*?)<\/code><\/pre>/g, (match, code) => {
+            // Highlighting spans sit inside tokens, so they are dropped rather than turned into spaces
+            codeWords += countWords(stripHtml(code.replace(/<[^>]+>/g, '')));
+            codeBlocks++;
+            return ' ';
+        })
+        // Code block headers (language label, copy button), tab buttons and heading permalinks are not content
+        .replace(/<div class="code-header">[\s\S]*?<\/div>/g, ' ')
+        .replace(/<div class="code-tabs-list"[\s\S]*?<\/div>/g, ' ')
+        .replace(/<a class="heading-anchor"[\s\S]*?<\/a>/g, ' ');
+
+    const words = countWords(stripHtml(prose));
+    const minutes = Math.max(1, Math.round(words / PROSE_WPM + codeWords / CODE_WPM));
+
+    return { words, codeWords, codeBlocks, minutes };
+}
+
+// "6 min read", in the language being built
+function formatReadingTime(stats) {
+    return translate('article.readingTime', { minutes: stats.minutes });
+}
+
+// "1,234 words + 310 in code"
+function formatWordCount(stats) {
+    const words = translate('article.words', { count: stats.words });
+    return stats.codeWords ? translate('article.wordsWithCode', { words, count: stats.codeWords }) : words;
+}
+
+module.exports = {
+    getReadingStats,
+    formatReadingTime,
+    formatWordCount
+};
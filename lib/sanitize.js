@@ -0,0 +1,62 @@
+// Elements removed together with their content: they run code, load other documents or change how the page resolves URLs
+const DROPPED_ELEMENTS = ['script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'base', 'meta', 'link', 'template', 'noscript'];
+
+const URL_ATTRIBUTES = new Set(['href', 'src', 'action', 'formaction', 'poster', 'cite', 'background', 'xlink:href']);
+const SAFE_URL = /^(?![a-z][a-z0-9+.-]*:)|^(https?|mailto|tel):/i;
+const SAFE_DATA_URL = /^data:image\/(png|gif|jpe?g|webp);/i;
+
+const TAG_PATTERN = /<(\/?)([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+const ATTRIBUTE_PATTERN = /([^\s"'>\/=]+)(?:\s*=\s*("[^"]*"|'[^']*'|[^\s"'>]+))?/g;
+
+function decodeAttribute(value) {
+    return value
+        .replace(/&#x([0-9a-f]+);?/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);?/g, (match, decimal) => String.fromCodePoint(parseInt(decimal, 10)))
+        .replace(/&colon;/gi, ':')
+        .replace(/&tab;|&newline;/gi, '');
+}
+
+function isSafeUrl(value) {
+    // Browsers ignore whitespace and control characters inside a scheme ("java\tscript:")
+    const url = decodeAttribute(value).replace(/[\u0000- \u007f]+/g, '');
+    return SAFE_URL.test(url) || SAFE_DATA_URL.test(url);
+}
+
+function sanitizeAttributes(attributes) {
+    let output = '';
+    let match;
+    ATTRIBUTE_PATTERN.lastIndex = 0;
+
+    while ((match = ATTRIBUTE_PATTERN.exec(attributes))) {
+        const name = match[1].toLowerCase();
+        const rawValue = match[2];
+        const value = rawValue ? rawValue.replace(/^(["'])([\s\S]*)\1$/, '$2') : '';
+
+        if (name.startsWith('on') || name === 'srcdoc') continue;
+        if (URL_ATTRIBUTES.has(name) && !isSafeUrl(value)) continue;
+        if (name === 'srcset' && value.split(',').some(candidate => !isSafeUrl(candidate.trim().split(/\s+/)[0]))) continue;
+
+        output += rawValue === undefined ? ` ${match[1]}` : ` ${match[1]}=${rawValue}`;
+    }
+
+    return output;
+}
+
+// Removes scripting from raw HTML written in Markdown: dangerous elements, on* handlers and
+// javascript:-style URLs. Everything else is kept as written, including unknown tags.
+function sanitizeHtml(html) {
+    const dropped = new RegExp(`<(${DROPPED_ELEMENTS.join('|')})\\b[\\s\\S]*?(?:<\\/\\1\\s*>|$)`, 'gi');
+    const lone = new RegExp(`<\\/?(${DROPPED_ELEMENTS.join('|')})\\b[^>]*>`, 'gi');
+
+    return html
+        .replace(/<!--[\s\S]*?(?:-->|$)/g, '')
+        .replace(dropped, '')
+        .replace(lone, '')
+        .replace(TAG_PATTERN, (match, slash, name, attributes) =>
+            slash ? `</${name}>` : `<${name}${sanitizeAttributes(attributes)}${/\/\s*$/.test(attributes) ? ' /' : ''}>`);
+}
+
+module.exports = {
+    isSafeUrl,
+    sanitizeHtml
+};
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+const { stripHtml } = require('./utils');
+
+const WEIGHTS = {
+    title: 8,
+    heading: 4,
+    text: 1
+};
+
+// Very common words only make the index bigger without helping ranking
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have', 'if', 'in',
+    'into', 'is', 'it', 'its', 'of', 'on', 'or', 'so', 'than', 'that', 'the', 'their', 'then', 'there',
+    'these', 'this', 'to', 'was', 'we', 'were', 'will', 'with', 'you', 'your'
+]);
+
+function htmlToText(html) {
+    return stripHtml(html
+        // Code block labels, copy buttons and heading permalinks are chrome, not content
+        .replace(/<div class="code-header">[\s\S]*?<\/div>/g, ' ')
+        .replace(/<a class="heading-anchor"[\s\S]*?<\/a>/g, ''));
+}
+
+// Must match tokenize() in the index page script
+function tokenize(text) {
+    return text
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(term => term.length > 1 && !STOP_WORDS.has(term));
+}
+
+// Splits rendered article HTML at its headings; the part before the first heading belongs to the title
+function splitSections(title, html) {
+    const sections = [];
+    const headingPattern = /<h([1-6])[^>]*\sid="([^"]*)"[^>]*>([\s\S]*?)<\/h\1>/g;
+    let current = { anchor: '', heading: title, start: 0 };
+    let match;
+
+    while ((match = headingPattern.exec(html))) {
+        sections.push({ ...current, html: html.slice(current.start, match.index) });
+        current = { anchor: match[2], heading: htmlToText(match[3]), start: headingPattern.lastIndex };
+    }
+    sections.push({ ...current, html: html.slice(current.start) });
+
+    return sections
+        .map(section => ({ anchor: section.anchor, heading: section.heading, text: htmlToText(section.html) }))
+        .filter((section, i) => i === 0 || section.text || section.heading);
+}
+
+function addTerms(weights, text, weight) {
+    for (const term of tokenize(text)) {
+        weights.set(term, (weights.get(term) || 0) + weight);
+    }
+}
+
+// entries: [{ slug, title, html }]. The result is written as-is to search-index.js:
+//   articles: [[slug, title]]
+//   sections: [[articleIndex, anchor, heading, text]]
+//   terms:    { term: [sectionIndex, weight, sectionIndex, weight, ...] }
+function buildSearchIndex(entries) {
+    const index = { articles: [], sections: [], terms: {} };
+
+    entries.forEach((entry, articleIndex) => {
+        index.articles.push([entry.slug, entry.title]);
+
+        splitSections(entry.title, entry.html).forEach((section, i) => {
+            const sectionIndex = index.sections.length;
+            const weights = new Map();
+
+            if (i === 0) addTerms(weights, entry.title, WEIGHTS.title);
+            else addTerms(weights, section.heading, WEIGHTS.heading);
+            addTerms(weights, section.text, WEIGHTS.text);
+
+            index.sections.push([articleIndex, section.anchor, section.heading, section.text]);
+            for (const [term, weight] of weights) {
+                if (!index.terms[term]) index.terms[term] = [];
+                index.terms[term].push(sectionIndex, weight);
+            }
+        });
+    });
+
+    return index;
+}
+
+// A script rather than JSON so the index also loads when the site is opened from disk
+function writeSearchIndex(outputDir, index) {
+    const file = path.join(outputDir, 'search-index.js');
+    fs.writeFileSync(file, `window.SEARCH_INDEX = ${JSON.stringify(index).replace(/</g, '\\u003c')};\n`);
+    return fs.statSync(file).size;
+}
+
+module.exports = {
+    buildSearchIndex,
+    writeSearchIndex
+};
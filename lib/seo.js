@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml, toInlineJson } = require('./utils');
+
+function toIsoDate(date) {
+    return new Date(date).toISOString().split('T')[0];
+}
+
+// Head tags for one page: description, canonical link, Open Graph, Twitter Card and JSON-LD
+function getSeoTags({ siteTitle, title, description, url, type = 'website', image = '', jsonLd = [] }) {
+    const tags = [];
+
+    if (description) tags.push(`<meta name="description" content="${escapeHtml(description)}">`);
+    if (url) tags.push(`<link rel="canonical" href="${escapeHtml(url)}">`);
+
+    tags.push(`<meta property="og:site_name" content="${escapeHtml(siteTitle)}">`);
+    tags.push(`<meta property="og:type" content="${type}">`);
+    tags.push(`<meta property="og:title" content="${escapeHtml(title)}">`);
+    if (description) tags.push(`<meta property="og:description" content="${escapeHtml(description)}">`);
+    if (url) tags.push(`<meta property="og:url" content="${escapeHtml(url)}">`);
+    if (image) tags.push(`<meta property="og:image" content="${escapeHtml(image)}">`);
+
+    tags.push(`<meta name="twitter:card" content="${image ? 'summary_large_image' : 'summary'}">`);
+    tags.push(`<meta name="twitter:title" content="${escapeHtml(title)}">`);
+    if (description) tags.push(`<meta name="twitter:description" content="${escapeHtml(description)}">`);
+    if (image) tags.push(`<meta name="twitter:image" content="${escapeHtml(image)}">`);
+
+    for (const data of jsonLd) {
+        tags.push(`<script type="application/ld+json">\n${toInlineJson(data)}\n    </script>`);
+    }
+
+    return tags.join('\n    ');
+}
+
+function getArticleTags(article) {
+    if (!article.date) return '';
+    const tags = [`<meta property="article:published_time" content="${toIsoDate(article.date)}">`];
+    if (article.updated) tags.push(`<meta property="article:modified_time" content="${toIsoDate(article.updated)}">`);
+    if (article.author) tags.push(`<meta property="article:author" content="${escapeHtml(article.author)}">`);
+    for (const tag of article.tags || []) {
+        tags.push(`<meta property="article:tag" content="${escapeHtml(tag)}">`);
+    }
+    return tags.join('\n    ');
+}
+
+// alternates: [{ lang, url }] for every translation of a page, itself included, default language first.
+// Search engines use the hreflang links to send readers to their language; x-default is the fallback.
+function getAlternateLinks(alternates) {
+    if (alternates.length < 2) return '';
+    return [
+        ...alternates.map(alternate => `<link rel="alternate" hreflang="${escapeHtml(alternate.lang)}" href="${escapeHtml(alternate.url)}">`),
+        `<link rel="alternate" hreflang="x-default" href="${escapeHtml(alternates[0].url)}">`
+    ].join('\n    ');
+}
+
+// crumbs: [{ name, url }] from the home page down to the current page
+function getBreadcrumbJsonLd(crumbs) {
+    return {
+        '@context': 'https://schema.org',
+        '@type': 'BreadcrumbList',
+        itemListElement: crumbs.map((crumb, i) => ({
+            '@type': 'ListItem',
+            position: i + 1,
+            name: crumb.name,
+            item: crumb.url
+        }))
+    };
+}
+
+// stats: { words, codeWords, minutes } from lib/reading.js
+function getArticleJsonLd({ article, url, siteTitle, siteUrl, image = '', stats = null, series = null }) {
+    const author = article.author && article.author !== siteTitle ?
+        { '@type': 'Person', name: article.author } :
+        { '@type': 'Organization', name: siteTitle, url: siteUrl };
+
+    const data = {
+        '@context': 'https://schema.org',
+        '@type': 'TechArticle',
+        headline: article.title,
+        description: article.excerpt,
+        url,
+        mainEntityOfPage: url,
+        datePublished: toIsoDate(article.date),
+        dateModified: toIsoDate(article.updated || article.date),
+        author,
+        publisher: { '@type': 'Organization', name: siteTitle, url: siteUrl },
+        keywords: (article.tags || []).join(', '),
+        inLanguage: article.lang || 'en'
+    };
+
+    if (image) data.image = image;
+    if (stats) {
+        data.wordCount = stats.words + stats.codeWords;
+        data.timeRequired = `PT${stats.minutes}M`;
+    }
+    if (series) {
+        data.isPartOf = { '@type': 'CreativeWorkSeries', name: series.title, url: series.url };
+        data.position = series.part;
+    }
+
+    return data;
+}
+
+// pages: [{ url, lastmod?, alternates? }], alternates as for getAlternateLinks
+function writeSitemap(outputDir, pages) {
+    const translated = pages.some(page => page.alternates && page.alternates.length > 1);
+    const sitemap = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"${translated ? ' xmlns:xhtml="http://www.w3.org/1999/xhtml"' : ''}>
+${pages.map(page => `    <url>
+        <loc>${escapeHtml(page.url)}</loc>${page.lastmod ? `
+        <lastmod>${toIsoDate(page.lastmod)}</lastmod>` : ''}${page.alternates && page.alternates.length > 1 ? page.alternates.map(alternate => `
+        <xhtml:link rel="alternate" hreflang="${escapeHtml(alternate.lang)}" href="${escapeHtml(alternate.url)}"/>`).join('') : ''}
+    </url>`).join('\n')}
+</urlset>
+`;
+    fs.writeFileSync(path.join(outputDir, 'sitemap.xml'), sitemap);
+}
+
+function writeRobots(outputDir, siteUrl) {
+    const robots = `User-agent: *
+Allow: /
+
+Sitemap: ${new URL('sitemap.xml', siteUrl).href}
+`;
+    fs.writeFileSync(path.join(outputDir, 'robots.txt'), robots);
+}
+
+module.exports = {
+    getSeoTags,
+    getArticleTags,
+    getArticleJsonLd,
+    getBreadcrumbJsonLd,
+    getAlternateLinks,
+    writeSitemap,
+    writeRobots
+};
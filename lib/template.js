@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml } = require('./utils');
+
+// A small Handlebars-like language for the files in layouts/:
+//   {{ path.to.value }}      escaped output        {{{ html }}}               raw output
+//   {{#if value}}..{{else}}..{{/if}}               {{#each list}}..{{/each}}  (this, @index, @key)
+//   {{> name }}              layouts/partials/name.html, or the exact file when the name has an extension
+//   {{! comment }}
+const TAG_PATTERN = /\{\{\{\s*([\s\S]+?)\s*\}\}\}|\{\{\s*([\s\S]+?)\s*\}\}/g;
+
+function getLine(source, index) {
+    return source.slice(0, index).split('\n').length;
+}
+
+function parse(source, file) {
+    // Nodes are appended to `target`, which a block switches to its `otherwise` list at {{else}}
+    const root = { target: [] };
+    const stack = [root];
+    let lastIndex = 0;
+    let match;
+
+    const fail = (message, index) => {
+        throw new Error(`${file}:${getLine(source, index)}: ${message}`);
+    };
+
+    while ((match = TAG_PATTERN.exec(source))) {
+        const current = stack[stack.length - 1];
+        if (match.index > lastIndex) current.target.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+        lastIndex = TAG_PATTERN.lastIndex;
+
+        if (match[1]) {
+            current.target.push({ type: 'value', path: match[1], raw: true });
+            continue;
+        }
+
+        const tag = match[2];
+        if (tag.startsWith('!')) continue;
+
+        if (tag.startsWith('>')) {
+            current.target.push({ type: 'partial', name: tag.slice(1).trim() });
+        } else if (tag.startsWith('#')) {
+            const [block, ...rest] = tag.slice(1).split(/\s+/);
+            if (block !== 'if' && block !== 'each') fail(`unknown block "{{#${block}}}"`, match.index);
+            if (!rest.length) fail(`"{{#${block}}}" needs a value`, match.index);
+            const node = { type: block, path: rest.join(' '), children: [], otherwise: [], index: match.index };
+            node.target = node.children;
+            current.target.push(node);
+            stack.push(node);
+        } else if (tag === 'else') {
+            if (stack.length === 1 || current.target === current.otherwise) fail('"{{else}}" outside a block', match.index);
+            current.target = current.otherwise;
+        } else if (tag.startsWith('/')) {
+            const block = tag.slice(1).trim();
+            if (stack.length === 1 || current.type !== block) fail(`unexpected "{{/${block}}}"`, match.index);
+            stack.pop();
+        } else {
+            current.target.push({ type: 'value', path: tag, raw: false });
+        }
+    }
+
+    if (stack.length > 1) {
+        const open = stack[stack.length - 1];
+        fail(`"{{#${open.type}}}" is never closed`, open.index);
+    }
+    root.target.push({ type: 'text', value: source.slice(lastIndex) });
+    return root.target;
+}
+
+// scopes: innermost last, each { data, index, key }
+function lookup(scopes, expression) {
+    const scope = scopes[scopes.length - 1];
+    if (expression === 'this') return scope.data;
+    if (expression === '@index') return scope.index;
+    if (expression === '@key') return scope.key;
+
+    const [first, ...rest] = expression.replace(/^this\./, '').split('.');
+    let value;
+    for (let i = scopes.length - 1; i >= 0; i--) {
+        const data = scopes[i].data;
+        if (data !== null && typeof data === 'object' && Object.prototype.hasOwnProperty.call(data, first)) {
+            value = data[first];
+            break;
+        }
+    }
+    for (const key of rest) {
+        value = value === null || value === undefined ? undefined : value[key];
+    }
+    return value;
+}
+
+function isTruthy(value) {
+    return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+function createTemplates(layoutsDir) {
+    const cache = new Map();
+
+    // Parsed templates are reused until the file changes, so the dev server picks up edits
+    function load(file) {
+        if (!fs.existsSync(file)) {
+            throw new Error(`Missing layout file ${path.relative(process.cwd(), file)}`);
+        }
+        const { mtimeMs } = fs.statSync(file);
+        const cached = cache.get(file);
+        if (cached && cached.mtimeMs === mtimeMs) return cached.nodes;
+
+        const nodes = parse(fs.readFileSync(file, 'utf-8'), path.relative(process.cwd(), file));
+        cache.set(file, { mtimeMs, nodes });
+        return nodes;
+    }
+
+    function getPartialFile(name) {
+        return path.join(layoutsDir, 'partials', path.extname(name) ? name : `${name}.html`);
+    }
+
+    function renderNodes(nodes, scopes, depth) {
+        if (depth > 20) throw new Error('Layout partials nest too deeply (is a partial including itself?)');
+        let output = '';
+
+        for (const node of nodes) {
+            if (node.type === 'text') {
+                output += node.value;
+            } else if (node.type === 'value') {
+                const value = lookup(scopes, node.path);
+                if (value === undefined || value === null || value === false) continue;
+                output += node.raw ? String(value) : escapeHtml(String(value));
+            } else if (node.type === 'partial') {
+                output += renderNodes(load(getPartialFile(node.name)), scopes, depth + 1);
+            } else if (node.type === 'if') {
+                const branch = isTruthy(lookup(scopes, node.path)) ? node.children : node.otherwise;
+                output += renderNodes(branch, scopes, depth);
+            } else if (node.type === 'each') {
+                const value = lookup(scopes, node.path);
+                const entries = Array.isArray(value) ?
+                    value.map((item, index) => ({ data: item, index, key: index })) :
+                    Object.entries(value || {}).map(([key, item], index) => ({ data: item, index, key }));
+                output += entries.length ?
+                    entries.map(entry => renderNodes(node.children, [...scopes, entry], depth)).join('') :
+                    renderNodes(node.otherwise, scopes, depth);
+            }
+        }
+
+        return output;
+    }
+
+    return {
+        exists(name) {
+            return fs.existsSync(path.join(layoutsDir, `${name}.html`));
+        },
+        // Renders layouts/<name>.html
+        render(name, data) {
+            return renderNodes(load(path.join(layoutsDir, `${name}.html`)), [{ data }], 0);
+        },
+        renderPartial(name, data) {
+            return renderNodes(load(getPartialFile(name)), [{ data }], 0);
+        }
+    };
+}
+
+module.exports = {
+    createTemplates
+};
@@ -0,0 +1,63 @@
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': '\'', nbsp: ' ', middot: '·' };
+
+function decodeEntities(text) {
+    return text.replace(/&(amp|lt|gt|quot|#39|nbsp|middot);/g, (match, name) => ENTITIES[name]);
+}
+
+// JSON that is safe inside an inline <script>: "</script>" and "<!--" cannot end or change the element,
+// and the line separators that older JavaScript engines reject in strings are escaped
+function toInlineJson(value, indent = 2) {
+    return JSON.stringify(value, null, indent)
+        .replace(/</g, '\\u003c')
+        .replace(/\u2028/g, '\\u2028')
+        .replace(/\u2029/g, '\\u2029');
+}
+
+// Plain text of an HTML fragment with whitespace collapsed
+function stripHtml(html) {
+    return decodeEntities(html.replace(/<[^>]+>/g, ' '))
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Levenshtein distance between two strings
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// Lowercase, ASCII-only, dash-separated slug used for tag page names and heading anchors
+function slugify(text) {
+    return String(text)
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+module.exports = {
+    escapeHtml,
+    stripHtml,
+    toInlineJson,
+    editDistance,
+    slugify
+};
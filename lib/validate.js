@@ -0,0 +1,151 @@
+const { editDistance } = require('./utils');
+const { isLanguageCode } = require('./i18n');
+
+// Front matter accepted in article files; anything else is reported as an unknown key
+const ARTICLE_SCHEMA = {
+    title: { type: 'string', required: true },
+    date: { type: 'date', required: true },
+    author: { type: 'string' },
+    excerpt: { type: 'string' },
+    tags: { type: 'string[]' },
+    toc: { type: 'boolean' },
+    tocDepth: { type: 'integer', min: 2, max: 6 },
+    layout: { type: 'string' },
+    draft: { type: 'boolean' },
+    publishAt: { type: 'date' },
+    // Overrides the "Updated on" date taken from git history
+    updated: { type: 'date' },
+    // Language of the article, when the file name has no .<lang>.md suffix
+    lang: { type: 'language' }
+};
+
+// Front matter accepted in a series folder's _series.md
+const SERIES_SCHEMA = {
+    title: { type: 'string' },
+    description: { type: 'string' },
+    cover: { type: 'string' }
+};
+
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+function isIsoDate(value) {
+    // YAML turns unquoted dates into Date objects; those are only valid without a time of day
+    if (value instanceof Date) {
+        return !isNaN(value) && value.toISOString().endsWith('T00:00:00.000Z');
+    }
+    const match = typeof value === 'string' && value.match(ISO_DATE);
+    if (!match) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date) && date.toISOString().startsWith(value);
+}
+
+function describe(value) {
+    if (value instanceof Date) return isNaN(value) ? 'an invalid date' : `"${value.toISOString()}"`;
+    if (Array.isArray(value)) return 'a list';
+    if (value === null) return 'an empty value';
+    return typeof value === 'string' ? `"${value}"` : `${typeof value} ${JSON.stringify(value)}`;
+}
+
+function checkType(key, value, rule) {
+    switch (rule.type) {
+        case 'string':
+            return typeof value === 'string' && value.trim() ? null :
+                `"${key}" must be a non-empty string, got ${describe(value)}`;
+        case 'date':
+            return isIsoDate(value) ? null :
+                `"${key}" must be an ISO date (YYYY-MM-DD), got ${describe(value)}`;
+        case 'string[]':
+            if (!Array.isArray(value)) return `"${key}" must be a list of strings, got ${describe(value)}`;
+            return value.every(item => typeof item === 'string' && item.trim()) ? null :
+                `"${key}" must only contain non-empty strings`;
+        case 'language':
+            return isLanguageCode(value) ? null : `"${key}" must be a language code such as "de" or "pt-BR", got ${describe(value)}`;
+        case 'boolean':
+            return typeof value === 'boolean' ? null : `"${key}" must be true or false, got ${describe(value)}`;
+        case 'integer':
+            if (!Number.isInteger(value)) return `"${key}" must be a whole number, got ${describe(value)}`;
+            if (value < rule.min || value > rule.max) return `"${key}" must be between ${rule.min} and ${rule.max}, got ${value}`;
+            return null;
+        default:
+            return null;
+    }
+}
+
+function suggestKey(key, schema) {
+    let best = null;
+    let bestDistance = 3;
+    for (const known of Object.keys(schema)) {
+        const distance = known.toLowerCase() === key.toLowerCase() ? 0 : editDistance(key.toLowerCase(), known.toLowerCase());
+        if (distance < bestDistance) {
+            best = known;
+            bestDistance = distance;
+        }
+    }
+    return best;
+}
+
+// Returns a list of problem messages (empty when the front matter is valid)
+function validateFrontMatter(data, schema) {
+    const problems = [];
+
+    for (const [key, rule] of Object.entries(schema)) {
+        if (data[key] === undefined) {
+            if (rule.required) problems.push(`missing required "${key}"`);
+            continue;
+        }
+        const problem = checkType(key, data[key], rule);
+        if (problem) problems.push(problem);
+    }
+
+    for (const key of Object.keys(data)) {
+        if (schema[key]) continue;
+        const suggestion = suggestKey(key, schema);
+        problems.push(`unknown key "${key}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`);
+    }
+
+    return problems;
+}
+
+// articles: [{ file, folder, baseName, slug, lang, order }]; reports clashes that would overwrite pages.
+// Translations share a slug, so clashes only count within one language.
+function findDuplicates(articles) {
+    const problems = [];
+    const bySlug = new Map();
+    const byOrder = new Map();
+
+    for (const article of articles) {
+        // Case-insensitive, because the output lands on case-insensitive file systems too
+        const slugKey = `${article.lang}\n${article.slug.toLowerCase()}`;
+        if (!bySlug.has(slugKey)) bySlug.set(slugKey, []);
+        bySlug.get(slugKey).push(article);
+
+        if (article.folder && article.baseName.toLowerCase() === 'index') {
+            problems.push(`${article.file}: "index" clashes with the generated series landing page`);
+        }
+
+        if (article.folder && article.order !== null) {
+            const orderKey = `${article.lang}\n${article.folder}\n${article.order}`;
+            if (!byOrder.has(orderKey)) byOrder.set(orderKey, []);
+            byOrder.get(orderKey).push(article);
+        }
+    }
+
+    for (const group of bySlug.values()) {
+        if (group.length < 2) continue;
+        problems.push(`duplicate slug "${group[0].slug}" (${group[0].lang}): ${group.map(article => article.file).join(', ')}`);
+    }
+
+    for (const group of byOrder.values()) {
+        if (group.length < 2) continue;
+        problems.push(`duplicate part number ${group[0].order} in series "${group[0].folder}" (${group[0].lang}): ${group.map(article => article.file).join(', ')}`);
+    }
+
+    return problems;
+}
+
+module.exports = {
+    ARTICLE_SCHEMA,
+    SERIES_SCHEMA,
+    validateFrontMatter,
+    findDuplicates
+};
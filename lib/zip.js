@@ -0,0 +1,85 @@
+const zlib = require('zlib');
+
+// Just enough of the ZIP format for EPUB files: no ZIP64, no encryption, one fixed timestamp for every entry
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date and time, which is what ZIP headers store
+function toDosTime(date) {
+    return {
+        time: (date.getUTCHours() << 11) | (date.getUTCMinutes() << 5) | Math.floor(date.getUTCSeconds() / 2),
+        date: ((Math.max(date.getUTCFullYear(), 1980) - 1980) << 9) | ((date.getUTCMonth() + 1) << 5) | date.getUTCDate()
+    };
+}
+
+// entries: [{ name, data, store }] in archive order; `store` skips compression (EPUB needs that for "mimetype").
+// The same entries and date always give the same bytes.
+function createZip(entries, modified = new Date(0)) {
+    const { time, date } = toDosTime(modified);
+    const local = [];
+    const central = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const name = Buffer.from(entry.name, 'utf-8');
+        const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(entry.data, 'utf-8');
+        const compressed = entry.store ? data : zlib.deflateRawSync(data, { level: 9 });
+        const method = entry.store ? 0 : 8;
+        const crc = crc32(data);
+
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(20, 4);
+        // Bit 11: names are UTF-8
+        header.writeUInt16LE(0x0800, 6);
+        header.writeUInt16LE(method, 8);
+        header.writeUInt16LE(time, 10);
+        header.writeUInt16LE(date, 12);
+        header.writeUInt32LE(crc, 14);
+        header.writeUInt32LE(compressed.length, 18);
+        header.writeUInt32LE(data.length, 22);
+        header.writeUInt16LE(name.length, 26);
+        header.writeUInt16LE(0, 28);
+        local.push(header, name, compressed);
+
+        const record = Buffer.alloc(46);
+        record.writeUInt32LE(0x02014b50, 0);
+        record.writeUInt16LE(20, 4);
+        record.writeUInt16LE(20, 6);
+        record.writeUInt16LE(0x0800, 8);
+        record.writeUInt16LE(method, 10);
+        record.writeUInt16LE(time, 12);
+        record.writeUInt16LE(date, 14);
+        record.writeUInt32LE(crc, 16);
+        record.writeUInt32LE(compressed.length, 20);
+        record.writeUInt32LE(data.length, 24);
+        record.writeUInt16LE(name.length, 28);
+        record.writeUInt32LE(offset, 42);
+        central.push(record, name);
+
+        offset += header.length + name.length + compressed.length;
+    }
+
+    const directory = Buffer.concat(central);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...local, directory, end]);
+}
+
+module.exports = {
+    createZip
+};
@@ -0,0 +1,101 @@
+// Site-wide settings read by build.js and the templates in layouts/
+module.exports = {
+    title: 'Learning Never Ends',
+    description: 'Hands-on tutorials on Docker, Kubernetes and Azure.',
+    // Where the site is deployed; the SITE_URL environment variable overrides it (e.g. for previews)
+    url: 'https://crazyash.github.io/learningneverends/',
+    // Used for feeds and structured data when an article has no author of its own
+    author: 'Learning Never Ends',
+    // Language of articles without a `lang` in their front matter or a suffix like 01-intro.de.md. Its pages stay
+    // at the top of public/; every other language gets a folder (public/de/...). UI strings are in locales/<lang>.json.
+    language: 'en',
+    // Content transforms and page hooks run during the build, in this order; lib/plugins.js describes how to write one
+    plugins: [
+        // Emoji are taken out of article text as it is built (code blocks keep theirs); the Markdown files stay as written
+        'strip-emoji'
+    ],
+
+    // Lets readers install the site and save series to read without a connection: the build writes a web app
+    // manifest, a service worker (public/sw.js) and an offline page. Set to false to leave them out.
+    offline: {
+        // The name under the home screen icon
+        shortName: 'Learning',
+        // A square image (512px or more) for the icon, relative to this file; without one it shows the site's initials
+        icon: ''
+    },
+
+    footer: {
+        text: 'For feedback or suggestions, send a mail to',
+        links: [
+            { label: 'crazyash@live.in', href: 'mailto:crazyash@live.in' }
+        ]
+    },
+
+    build: {
+        // Inline the base styles (theme colours, header, footer) and load the full stylesheet without blocking
+        criticalCss: false,
+        // Remove scripts, event handlers and javascript: URLs from HTML written directly in Markdown
+        sanitizeHtml: true,
+        // Added to every page as a <meta http-equiv> tag, with the hashes of the page's inline scripts and styles
+        // appended to script-src and style-src. Set to false to leave it out.
+        contentSecurityPolicy: {
+            'default-src': ["'self'"],
+            'script-src': ["'self'"],
+            'style-src': ["'self'"],
+            'img-src': ["'self'", 'data:', 'https:'],
+            'connect-src': ["'self'"],
+            'object-src': ["'none'"],
+            'base-uri': ["'self'"],
+            'form-action': ["'self'"]
+        }
+    },
+
+    // CSS custom properties (without the leading --) for the light and dark themes
+    theme: {
+        light: {
+            'bg': '#ffffff',
+            'text': '#1f2937',
+            'text-light': '#6b7280',
+            'card-bg': '#ffffff',
+            'border': '#e5e7eb',
+            'primary': '#06b6d4',
+            'primary-light': '#0891b2',
+            'shadow': '0 4px 12px -2px rgba(0, 0, 0, 0.1)',
+            'code-bg': '#f8fafc',
+            'code-header-bg': '#f1f5f9',
+            'code-text': '#1f2937',
+            'code-comment': '#6b7280',
+            'code-keyword': '#7c3aed',
+            'code-string': '#047857',
+            'code-number': '#b45309',
+            'code-title': '#0e7490',
+            'code-attr': '#1d4ed8',
+            'code-meta': '#be185d',
+            'callout-note': '#0891b2',
+            'callout-warning': '#d97706',
+            'callout-tip': '#059669'
+        },
+        dark: {
+            'bg': '#111827',
+            'text': '#f9fafb',
+            'text-light': '#d1d5db',
+            'card-bg': '#1f2937',
+            'border': '#374151',
+            'primary': '#0ea5e9',
+            'primary-light': '#0284c7',
+            'code-bg': '#1f2937',
+            'code-header-bg': '#111827',
+            'code-text': '#e5e7eb',
+            'code-comment': '#9ca3af',
+            'code-keyword': '#c4b5fd',
+            'code-string': '#86efac',
+            'code-number': '#fcd34d',
+            'code-title': '#67e8f9',
+            'code-attr': '#93c5fd',
+            'code-meta': '#f9a8d4',
+            'callout-note': '#22d3ee',
+            'callout-warning': '#fbbf24',
+            'callout-tip': '#34d399'
+        }
+    }
+};